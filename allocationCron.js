@@ -1,103 +1,439 @@
-const axios = require('axios');
-const fs = require('fs');
-const path = require('path');
 const {
   readAllocation,
   updateAllocation,
+  readFactorState,
+  updateFactorState,
   storeSnapshot,
-  getSubscribers,
+  DEFAULT_DESTINATION,
+  listNotifyUsers,
+  listAlertGuilds,
+  readNotifyPrefs,
+  readWarnedFactors,
+  updateWarnedFactors,
+  readPortfolio,
+  updatePortfolio,
+  getDriftAlertUsers,
+  acquireLock,
+  releaseLock,
+  claimNotification,
+  releaseNotification,
+  readGuildConfig,
+  listConfiguredGuilds,
 } = require('./storage');
 const {
   fetchCheckFinancialData,
+  determineRiskCategory,
   determineRecommendationWithBands,
 } = require('./lib/financial');
+const { getProvider } = require('./lib/providers');
+const {
+  allocationsEqual,
+  allocationKey,
+  formatAllocation,
+} = require('./lib/allocation');
+const { valuePortfolio, computeDrift, maxDrift } = require('./lib/portfolio');
+const { wantsEvent, isQuiet } = require('./lib/notify');
+const { sendDirectMessage } = require('./lib/discord');
+const { broadcast, sendAdminAlert } = require('./lib/alerts');
+const { tradingSession } = require('./lib/calendar');
+const { resolveParams } = require('./lib/config');
+const { replayFactorState } = require('./lib/backtest');
+
+// The crons and /test can start a check at the same time; one runs at a time
+const ALLOCATION_LOCK = 'allocationCheck';
+// Outlives any run (functions time out well before) but frees a crashed one
+const LOCK_TTL_SECONDS = 120;
+// Idempotency keys only need to outlast cron retries
+const NOTIFICATION_TTL_SECONDS = 7 * 24 * 60 * 60;
 
-// Use /tmp on Vercel because the function directory is read-only. Allow
-// overriding via STATE_FILE env for tests/local use.
-const DEFAULT_STATE_FILE = path.join(
-  process.env.VERCEL ? '/tmp' : __dirname,
-  'last_allocation.json'
-);
-const STATE_FILE = process.env.STATE_FILE || DEFAULT_STATE_FILE;
+const SUBSCRIBE_COMPONENTS = [
+  {
+    type: 1,
+    components: [
+      {
+        type: 2,
+        style: 1,
+        label: 'Notify Me',
+        custom_id: 'subscribe_alloc',
+      },
+      {
+        type: 2,
+        style: 2,
+        label: 'Warn Me',
+        custom_id: 'subscribe_warn',
+      },
+      {
+        type: 2,
+        style: 4,
+        label: 'Stop Pings',
+        custom_id: 'unsubscribe_alloc',
+      },
+    ],
+  },
+];
+
+/**
+ * Which of `userIds` to notify about `events` (see NOTIFY_EVENTS in
+ * lib/notify.js) at `destinationId`, split by delivery method. Users inside
+ * their quiet hours are left out, and nothing is queued for them.
+ */
+async function resolveRecipients(userIds, events, now = new Date(), destinationId = DEFAULT_DESTINATION) {
+  const recipients = { mentions: [], dms: [] };
+  if (events.length === 0) return recipients;
+  for (const userId of userIds) {
+    const prefs = await readNotifyPrefs(userId, destinationId);
+    if (!wantsEvent(prefs, events) || isQuiet(prefs, now)) continue;
+    (prefs.delivery === 'dm' ? recipients.dms : recipients.mentions).push(userId);
+  }
+  return recipients;
+}
 
-async function sendWebhook(title, message, mentionIds = []) {
-  if (process.env.DISCORD_WEBHOOK_URL) {
+/**
+ * Posts to every alert destination (see lib/alerts.js) and delivers to the
+ * users whose preferences ask for any of `events`: each destination mentions
+ * its own subscribers, DM users get one direct message however many
+ * destinations they follow. With `requireRecipients` a destination with
+ * nobody to mention is skipped. Returns the per-destination results.
+ */
+async function sendWebhook(
+  title,
+  message,
+  events = [],
+  { components = SUBSCRIBE_COMPONENTS, requireRecipients = false } = {}
+) {
+  const now = new Date();
+  const dms = new Set();
+  const results = await broadcast(async (destination, members) => {
+    const { mentions: mentionIds, dms: direct } = await resolveRecipients(
+      members,
+      events,
+      now,
+      destination.id
+    );
+    direct.forEach((id) => dms.add(id));
+    if (requireRecipients && mentionIds.length === 0) return null;
     const mentions = mentionIds.map((id) => `<@${id}>`).join(' ');
-    const url = `${process.env.DISCORD_WEBHOOK_URL}?wait=true`;
-    const res = await axios.post(url, {
+    return {
       content: `**${title}**\n${message}${mentions ? ' ' + mentions : ''}`,
-      components: [
-        {
-          type: 1,
-          components: [
-            {
-              type: 2,
-              style: 1,
-              label: 'Notify Me',
-              custom_id: 'subscribe_alloc',
-            },
-            {
-              type: 2,
-              style: 4,
-              label: 'Stop Pings',
-              custom_id: 'unsubscribe_alloc',
-            },
-          ],
-        },
-      ],
-    });
-
-    // After 5 seconds, edit the message to remove pings and indicate how many users were notified
-    if (mentionIds.length > 0 && res.data && res.data.id) {
-      await new Promise((resolve) => setTimeout(resolve, 5000));
-      await axios.patch(
-        `${process.env.DISCORD_WEBHOOK_URL}/messages/${res.data.id}`,
-        {
-          content: `**${title}**\n${message} (${mentionIds.length} users pinged)`,
-        }
-      );
-    }
-  } else {
+      components,
+      // Edited after 5 seconds to remove pings and show how many users were notified
+      editedContent:
+        mentionIds.length > 0 ? `**${title}**\n${message} (${mentionIds.length} users pinged)` : null,
+    };
+  });
+
+  if (results.length === 0) {
     console.log(`${title}: ${message}`);
+    const { dms: direct } = await resolveRecipients(await listNotifyUsers(), events, now);
+    direct.forEach((id) => dms.add(id));
   }
+
+  // One failed DM (e.g. DMs closed) must not stop the others
+  for (const userId of dms) {
+    try {
+      await sendDirectMessage(userId, { content: `**${title}**\n${message}`, components });
+    } catch (err) {
+      console.error('[notify] DM failed', userId, err.message);
+    }
+  }
+  return results;
+}
+
+// Signal inputs and model outputs stored with each history entry
+function buildSnapshotDetails(data, strict, rec) {
+  return {
+    signals: {
+      spy: data.spy,
+      sma220: data.sma220,
+      volatility: data.volatility,
+      treasuryRate: data.treasuryRate,
+      treasuryRateChange: data.treasuryRateChange,
+      isTreasuryFalling: data.isTreasuryFalling,
+    },
+    mfeaCategory: strict.category,
+    mfeaAllocation: strict.allocation,
+    recommendedCategory: rec.recommendedCategory,
+    bandInfo: rec.bandInfo,
+    dataProvider: data.dataProvider,
+    dataTimestamps: data.dataTimestamps,
+  };
+}
+
+// One-line signal summary for the daily digest
+function formatDigest(data) {
+  return (
+    `SPY $${data.spy} vs SMA $${data.sma220} | Vol ${data.volatility}% | ` +
+    `3M rate ${data.treasuryRate}% (${data.treasuryRateChange >= 0 ? '+' : ''}${data.treasuryRateChange})`
+  );
 }
 
-async function checkAllocation(alwaysNotify = false, title = 'Allocation Update') {
-  const data = await fetchCheckFinancialData();
-  const { recommendedAllocation } =
-    determineRecommendationWithBands(data);
+/**
+ * Runs the allocation check and notifies users by event type: `allocation`
+ * on any change, `category` when the category changes too, and `digest`
+ * when `digest` is set (the daily run). `alwaysNotify` posts the status even
+ * when nobody is to be notified.
+ *
+ * Nothing runs on days the NYSE is closed ({ skipped: 'closed', session }).
+ * Otherwise the check runs under a storage lock; when another check holds it
+ * this returns { skipped: 'locked' } without doing anything. When the market
+ * data cannot be fetched or fails validation the stored allocation and
+ * factor state are left alone and admins are alerted instead
+ * ({ skipped: 'unavailable', problems }). Change announcements and digests
+ * carry an idempotency key of the trading date and allocation, so a retried
+ * run never sends them twice.
+ */
+async function checkAllocation(alwaysNotify = false, title = 'Allocation Update', { digest = false } = {}) {
+  const session = tradingSession();
+  if (!session.trading) {
+    console.log(`${title}: market closed on ${session.date}${session.holiday ? ` (${session.holiday})` : ''}, skipped`);
+    return { skipped: 'closed', session };
+  }
+
+  const token = await acquireLock(ALLOCATION_LOCK, LOCK_TTL_SECONDS);
+  if (!token) {
+    console.log(`${title}: another allocation check is running, skipped`);
+    return { skipped: 'locked' };
+  }
+  try {
+    return await runAllocationCheck(alwaysNotify, title, digest, session.date);
+  } finally {
+    await releaseLock(ALLOCATION_LOCK, token);
+  }
+}
+
+async function runAllocationCheck(alwaysNotify, title, digest, date) {
+  let data;
+  try {
+    data = await fetchCheckFinancialData();
+  } catch (err) {
+    // A failed fetch or a crash on malformed data counts as unavailable data
+    data = { dataQuality: { ok: false, problems: [{ check: 'fetch', message: err.message }] } };
+  }
+  if (!data.dataQuality.ok) {
+    await alertDataUnavailable(title, date, data.dataQuality.problems);
+    return { skipped: 'unavailable', problems: data.dataQuality.problems };
+  }
+
+  const previousState = await readFactorState();
+  const strict = determineRiskCategory(data);
+  const rec = determineRecommendationWithBands(data, previousState);
+  const { recommendedAllocation, factorState } = rec;
   const current = recommendedAllocation;
+  await updateFactorState(factorState);
 
-  let previous = await readAllocation();
-  if (!previous) {
-    try {
-      previous = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8')).allocation;
-    } catch (e) {
-      // No previous file
+  const previous = await readAllocation();
+
+  // Compare weights, not text, so wording changes never trigger an alert
+  const changed = !allocationsEqual(previous, current);
+
+  const claimed = [];
+  const claim = async (key) => {
+    if (!(await claimNotification(key, NOTIFICATION_TTL_SECONDS))) return false;
+    claimed.push(key);
+    return true;
+  };
+  // Already claimed means this switch was announced earlier today, either by
+  // a concurrent run or because the allocation went back and forth
+  const announce =
+    changed && (await claim(`change:${date}:${allocationKey(previous)}>${allocationKey(current)}`));
+  const sendDigest = digest && (await claim(`digest:${date}:${allocationKey(current)}`));
+
+  try {
+    const status = changed
+      ? `Allocation changed to: ${formatAllocation(current)}`
+      : `No change in allocation: ${formatAllocation(current)}`;
+
+    const events = [];
+    if (announce) {
+      events.push('allocation');
+      if (!previous || previous.category !== current.category) events.push('category');
     }
+    if (sendDigest) events.push('digest');
+
+    if (alwaysNotify || announce || sendDigest) {
+      const message = sendDigest ? `${status}\n${formatDigest(data)}` : status;
+      const results = await sendWebhook(title, message, events, {
+        requireRecipients: !alwaysNotify && !announce,
+      });
+      if (results.length > 0 && results.every((result) => result.status === 'failed')) {
+        throw new Error(`${title}: delivery failed to every alert channel`);
+      }
+    }
+  } catch (err) {
+    // Nothing is stored yet, so a retry still sees the change and sends it
+    await Promise.all(claimed.map(releaseNotification));
+    throw err;
   }
 
-  const changed = previous !== current;
+  // Recorded only once announced, or when an earlier run already announced it
   if (changed) {
-    try {
-      fs.writeFileSync(STATE_FILE, JSON.stringify({ allocation: current }));
-    } catch (e) {
-      console.error('[storage] file write', e);
-    }
     await updateAllocation(current);
-    await storeSnapshot(current);
+    await storeSnapshot(current, buildSnapshotDetails(data, strict, rec));
   }
 
-  const status = changed
-    ? `Allocation changed to: ${current}`
-    : `No change in allocation: ${current}`;
+  try {
+    await checkBandWarnings(rec.bandInfo);
+  } catch (err) {
+    console.error('[warnings] check failed', err);
+  }
 
-  if (alwaysNotify || changed) {
-    const mentions = await getSubscribers();
-    await sendWebhook(title, status, mentions);
+  try {
+    await checkPortfolioDrift(current);
+  } catch (err) {
+    console.error('[drift] check failed', err);
   }
 
+  await advanceGuildFactorStates();
+
   return { previous, current, changed };
 }
 
-module.exports = { checkAllocation };
+/**
+ * Moves the band factor state of every guild with its own parameters forward
+ * with the same check, so hysteresis under the guild's bands follows the
+ * market rather than /check calls. A guild without a state yet (new or
+ * changed parameters) gets one rebuilt from a year of closes. Failures are
+ * logged per guild and leave its state as it was.
+ */
+async function advanceGuildFactorStates() {
+  for (const guildId of await listConfiguredGuilds()) {
+    try {
+      const params = resolveParams(await readGuildConfig(guildId));
+      const previousState = await readFactorState(guildId);
+      if (!previousState) {
+        await updateFactorState(await replayFactorState({ params }), guildId);
+        continue;
+      }
+      const data = await fetchCheckFinancialData(params);
+      if (!data.dataQuality.ok) continue;
+      const { factorState } = determineRecommendationWithBands(data, previousState, params);
+      await updateFactorState(factorState, guildId);
+    } catch (err) {
+      console.error('[bands] guild state', guildId, err);
+    }
+  }
+}
+
+// One alert per day and set of failed checks, however often the crons retry
+async function alertDataUnavailable(title, date, problems) {
+  const checks = [...new Set(problems.map((problem) => problem.check))].sort();
+  const key = `unavailable:${date}:${checks.join(',')}`;
+  console.error(`${title}: market data unavailable`, problems);
+  if (!(await claimNotification(key, NOTIFICATION_TTL_SECONDS))) return;
+  try {
+    await sendAdminAlert(
+      `**Data Unavailable**\n${title} did not run: the market data is unavailable or failed validation, so the ` +
+        `allocation was left unchanged.\n${problems.map((problem) => `• ${problem.message}`).join('\n')}`
+    );
+  } catch (err) {
+    await releaseNotification(key);
+    console.error('[admin] data unavailable alert failed', err.message);
+  }
+}
+
+/**
+ * Early warning for subscribers when a factor enters its rebalancing band,
+ * where a switch becomes likely. A factor is warned about once per stay in
+ * its band, so the same warning is not repeated on the following days. It is
+ * only recorded as warned after delivery; when sendWebhook throws or every
+ * destination fails, the next run tries again.
+ */
+async function checkBandWarnings(bandInfo) {
+  const factors = bandInfo.factors || {};
+  const inBand = Object.keys(factors).filter((key) => factors[key].inBand);
+  const warned = await readWarnedFactors();
+  const fresh = inBand.filter((key) => !warned.includes(key));
+  if (fresh.length === 0) {
+    await updateWarnedFactors(inBand);
+    return [];
+  }
+
+  const lines = fresh.map((key) => `• ${factors[key].text}.`);
+  const results = await sendWebhook(
+    'Early Warning',
+    `A factor entered its rebalancing band; an allocation switch may follow.\n${lines.join('\n')}`,
+    ['warning'],
+    { requireRecipients: true }
+  );
+  // Fresh factors only count as warned once the warning went out somewhere,
+  // so a failed delivery is retried on the next run
+  if (results.length > 0 && results.every((result) => result.status === 'failed')) {
+    await updateWarnedFactors(inBand.filter((key) => warned.includes(key)));
+    return [];
+  }
+  await updateWarnedFactors(inBand);
+  return fresh;
+}
+
+/**
+ * Pings users whose portfolio drifted past their personal threshold versus
+ * the recommended allocation. A user is pinged once per excursion; the flag
+ * resets when the drift is back within the threshold.
+ */
+async function checkPortfolioDrift(allocation) {
+  const userIds = await getDriftAlertUsers();
+  if (userIds.length === 0) return [];
+
+  // Share quotes between users so each ticker is fetched once per run
+  const provider = getProvider();
+  const quotes = {};
+  const cachedProvider = {
+    getQuote: (symbol) => (quotes[symbol] = quotes[symbol] || provider.getQuote(symbol)),
+  };
+
+  const alerts = [];
+  for (const userId of userIds) {
+    const portfolio = await readPortfolio(userId);
+    if (portfolio.driftThreshold == null) continue;
+    try {
+      const valued = await valuePortfolio(portfolio.holdings, cachedProvider);
+      const worst = maxDrift(computeDrift(valued, allocation.weights));
+      const over = Math.abs(worst.drift) > portfolio.driftThreshold;
+      if (over && !portfolio.driftAlerted) {
+        alerts.push({
+          userId,
+          line:
+            `<@${userId}> ${worst.ticker} ${worst.drift >= 0 ? '+' : ''}${worst.drift.toFixed(1)} pts ` +
+            `(threshold ${portfolio.driftThreshold} pts)`,
+        });
+      }
+      if (over !== portfolio.driftAlerted) {
+        await updatePortfolio(userId, { ...portfolio, driftAlerted: over });
+      }
+    } catch (err) {
+      console.error('[drift] portfolio', userId, err);
+    }
+  }
+
+  if (alerts.length === 0) return [];
+
+  // Each user is pinged where they subscribed, or in the default channel
+  const guildMembers = new Set(
+    (await Promise.all((await listAlertGuilds()).map((guildId) => listNotifyUsers(guildId)))).flat()
+  );
+  const results = await broadcast(async (destination, members) => {
+    const lines = alerts
+      .filter(
+        ({ userId }) =>
+          members.includes(userId) ||
+          (destination.id === DEFAULT_DESTINATION && !guildMembers.has(userId))
+      )
+      .map(({ line }) => line);
+    return lines.length > 0
+      ? { content: `**Portfolio Drift Alert**\n${lines.join('\n')}` }
+      : null;
+  });
+  if (results.length === 0) {
+    console.log(`Portfolio Drift Alert: ${alerts.map(({ line }) => line).join('\n')}`);
+  }
+  return alerts.map(({ line }) => line);
+}
+
+module.exports = {
+  SUBSCRIBE_COMPONENTS,
+  sendWebhook,
+  checkAllocation,
+  checkBandWarnings,
+  checkPortfolioDrift,
+  advanceGuildFactorStates,
+};
@@ -0,0 +1,28 @@
+/**
+ * Serverless function: /api/backtest?start=YYYY-MM-DD&end=YYYY-MM-DD
+ * Replays the strict MFEA model and the banded recommendation over history.
+ * Pass `daily=1` to include the per-day signal rows.
+ */
+const { parseDateRange, runBacktest } = require('../lib/backtest');
+const { guardRequest } = require('../lib/auth');
+
+module.exports = async (req, res) => {
+  if (!(await guardRequest(req, res, { rateLimit: true }))) return;
+  let range;
+  try {
+    range = parseDateRange(req.query.start, req.query.end);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+
+  try {
+    const result = await runBacktest(range);
+    if (req.query.daily !== '1' && req.query.daily !== 'true') {
+      delete result.daily;
+    }
+    res.json(result);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: e.message || 'Server error' });
+  }
+};
@@ -1,9 +1,11 @@
 const { checkAllocation } = require('../allocationCron');
+const { guardRequest } = require('../lib/auth');
 
 module.exports = async (req, res) => {
+  if (!(await guardRequest(req, res))) return;
   try {
-    await checkAllocation(false, 'Daily Allocation Update');
-    res.status(200).json({ status: 'ok' });
+    const result = await checkAllocation(false, 'Daily Allocation Update', { digest: true });
+    res.status(200).json(result.skipped ? { status: 'skipped', reason: result.skipped } : { status: 'ok' });
   } catch (err) {
     console.error('daily update error', err);
     res.status(500).json({ error: 'cron failure' });
@@ -1,82 +1,55 @@
 // api/fetchData.js
-const axios = require("axios");
 const {
   fetchCheckFinancialData,
   determineRiskCategory,
   determineRecommendationWithBands,
+  describeHeldFactors,
+  describeBandAnalysis,
+  formatTreasuryTrend,
 } = require("../lib/financial");
+const { fetchTickerFinancialData } = require("../lib/ticker");
+const { formatAllocation, allocationsEqual } = require("../lib/allocation");
+const { readFactorState } = require("../storage");
+const { guardRequest } = require("../lib/auth");
 
 
-async function fetchTickerFinancialData(ticker, range){
-  // identical to your original fetchTickerFinancialData
-  const opts = {
-    '1d':  { range:'1d',  interval:'1m' },
-    '1mo': { range:'1mo', interval:'5m' },
-    '1y':  { range:'1y',  interval:'1d' },
-    '3y':  { range:'3y',  interval:'1wk'},
-    '10y': { range:'10y', interval:'1mo'}
-  };
-  const sel = opts[range]||opts['1d'];
-  const resp = await axios.get(
-    `https://query1.finance.yahoo.com/v8/finance/chart/${ticker}?interval=${sel.interval}&range=${sel.range}`
-  );
-  const r = resp.data.chart.result[0];
-  const price = r.meta.regularMarketPrice.toFixed(2);
-  const ts    = r.timestamp;
-  const prices = (r.indicators.adjclose?.[0].adjclose || r.indicators.quote[0].close);
-  const hist = ts.map((t,i)=>({
-    date: new Date(t*1000).toLocaleDateString('en-US', range==='1d'||range==='1mo'
-      ? { month:'short',day:'numeric',hour:'2-digit',minute:'2-digit' }
-      : { month:'short',day:'numeric',year:'numeric' }
-    ),
-    price: prices[i]
-  }));
-  return {
-    ticker: ticker.toUpperCase(),
-    currentPrice: `$${price}`,
-    historicalData: hist
-  };
-}
-
 // ——— Main handler ———
 
 module.exports = async (req, res) => {
+  if (!(await guardRequest(req, res, { rateLimit: true }))) return;
   try {
     if (req.query.type === 'check') {
       const d = await fetchCheckFinancialData();
+      if (!d.dataQuality.ok) {
+        return res.status(503).json({ error: "Market data unavailable", dataQuality: d.dataQuality });
+      }
       const mfea = determineRiskCategory(d);
-      const rec  = determineRecommendationWithBands(d);
-
-      // Treasury trend arrow text
-      let trend = "↔️ No change";
-      if (parseFloat(d.treasuryRateChange) >  0.0001) trend = `⬆️ +${Math.abs(d.treasuryRateChange)}%`;
-      if (parseFloat(d.treasuryRateChange) < -0.0001) trend = `⬇️ ${Math.abs(d.treasuryRateChange)}%`;
+      const rec  = determineRecommendationWithBands(d, await readFactorState());
 
-      // Band influences description
-      const inf = [];
-      if (rec.bandInfo.effSpy)   inf.push("SPY above SMA band");
-      if (rec.bandInfo.effVol14) inf.push("Vol <14% band");
-      if (rec.bandInfo.effVol24) inf.push("Vol <24% band");
-      if (rec.bandInfo.effTreas) inf.push("Treasury drop >0.1%");
-      const desc = inf.length
-        ? `Factors: ${inf.join(', ')}.`
-        : "All factors clear of bands.";
+      const desc = describeBandAnalysis(
+        rec.bandInfo,
+        !allocationsEqual(mfea.allocation, rec.recommendedAllocation)
+      );
 
       return res.json({
         ...d,
-        treasuryTrend: trend,
+        treasuryTrend: formatTreasuryTrend(d.treasuryRateChange),
         mfeaCategory: mfea.category,
-        mfeaAllocation: mfea.allocation,
+        mfeaAllocation: formatAllocation(mfea.allocation),
+        mfeaWeights: mfea.allocation.weights,
         recommendedCategory: rec.recommendedCategory,
-        recommendedAllocation: rec.recommendedAllocation,
-        bandInfluenceDescription: desc
+        recommendedAllocation: formatAllocation(rec.recommendedAllocation),
+        recommendedWeights: rec.recommendedAllocation.weights,
+        bandInfluenceDescription: desc,
+        bandFactors: rec.bandInfo.factors,
+        heldFactors: describeHeldFactors(rec.bandInfo)
       });
     }
 
     // Ticker
     if (req.query.ticker && req.query.range) {
       const out = await fetchTickerFinancialData(
-        encodeURIComponent(req.query.ticker),
+        req.query.ticker,
         req.query.range
       );
       return res.json(out);
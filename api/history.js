@@ -0,0 +1,64 @@
+/**
+ * Serverless function: /api/history?format=json|csv|atom|rss&from=YYYY-MM-DD&to=YYYY-MM-DD
+ * Exports the allocation changes recorded in allocationHistory, oldest first
+ * for json/csv and newest first for the feeds. Requires API_KEY or CRON_SECRET
+ * and is rate limited per IP (see lib/auth.js).
+ */
+const { guardRequest } = require('../lib/auth');
+const {
+  buildTimeline,
+  parseHistoryFilter,
+  filterTimeline,
+  toExportRow,
+  formatCsv,
+  buildFeed,
+} = require('../lib/history');
+const { readHistory } = require('../storage');
+
+const FORMATS = ['json', 'csv', 'atom', 'rss'];
+const FEED_ENTRIES = 50;
+
+module.exports = async (req, res) => {
+  if (!(await guardRequest(req, res, { rateLimit: true }))) return;
+
+  const format = String(req.query.format || 'json').toLowerCase();
+  if (!FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of ${FORMATS.join(', ')}` });
+  }
+  let filter;
+  try {
+    filter = parseHistoryFilter(req.query.from, req.query.to);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+
+  try {
+    const rows = filterTimeline(buildTimeline(await readHistory()), filter).map(toExportRow);
+
+    if (format === 'atom' || format === 'rss') {
+      const host = req.headers['x-forwarded-host'] || req.headers.host || 'localhost';
+      const proto = req.headers['x-forwarded-proto'] || 'https';
+      const feed = buildFeed(rows.slice(0, FEED_ENTRIES), {
+        format,
+        url: `${proto}://${host}/api/history?format=${format}`,
+        host: host.split(':')[0],
+      });
+      res.setHeader(
+        'Content-Type',
+        format === 'atom' ? 'application/atom+xml; charset=utf-8' : 'application/rss+xml; charset=utf-8'
+      );
+      return res.status(200).send(feed);
+    }
+
+    const chronological = rows.slice().reverse();
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', 'attachment; filename="allocation-history.csv"');
+      return res.status(200).send(formatCsv(chronological));
+    }
+    res.json({ count: chronological.length, from: filter.from, to: filter.to, changes: chronological });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: e.message || 'Server error' });
+  }
+};
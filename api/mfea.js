@@ -6,30 +6,39 @@ const {
   fetchCheckFinancialData,
   determineRiskCategory,
   determineRecommendationWithBands,
+  describeHeldFactors,
+  describeBandAnalysis,
+  formatTreasuryTrend,
 } = require('../lib/financial');
+const { formatAllocation, allocationsEqual } = require('../lib/allocation');
+const { readFactorState } = require('../storage');
+const { guardRequest } = require('../lib/auth');
 
 module.exports = async (req, res) => {
+  if (!(await guardRequest(req, res, { rateLimit: true }))) return;
   try {
     const d = await fetchCheckFinancialData();
+    if (!d.dataQuality.ok) {
+      return res.status(503).json({ error: 'Market data unavailable', dataQuality: d.dataQuality });
+    }
     const strict = determineRiskCategory(d);
-    const rec = determineRecommendationWithBands(d);
-
-    const changeNum = parseFloat(d.treasuryRateChange);
-    const treasuryTrend =
-      changeNum < -0.0001
-        ? `\u2B07\uFE0F ${Math.abs(changeNum).toFixed(3)}%`
-        : changeNum > 0.0001
-        ? `\u2B06\uFE0F +${changeNum.toFixed(3)}%`
-        : '\u2194\uFE0F No change';
+    const rec = determineRecommendationWithBands(d, await readFactorState());
 
     res.json({
       ...d,
-      treasuryTrend,
+      treasuryTrend: formatTreasuryTrend(d.treasuryRateChange),
       mfeaCategory: strict.category,
-      mfeaAllocation: strict.allocation,
+      mfeaAllocation: formatAllocation(strict.allocation),
+      mfeaWeights: strict.allocation.weights,
       recommendedCategory: rec.recommendedCategory,
-      recommendedAllocation: rec.recommendedAllocation,
-      bandInfluenceDescription: rec.bandInfo,
+      recommendedAllocation: formatAllocation(rec.recommendedAllocation),
+      recommendedWeights: rec.recommendedAllocation.weights,
+      bandInfluenceDescription: describeBandAnalysis(
+        rec.bandInfo,
+        !allocationsEqual(strict.allocation, rec.recommendedAllocation)
+      ),
+      bandFactors: rec.bandInfo.factors,
+      heldFactors: describeHeldFactors(rec.bandInfo),
     });
   } catch (e) {
     console.error(e);
@@ -1,9 +1,20 @@
 const { checkAllocation } = require('../allocationCron');
+const { guardRequest } = require('../lib/auth');
+const { tradingSession } = require('../lib/calendar');
 
+// Scheduled at 14:30 UTC, mid-session, and again at 18:15 UTC with
+// ?halfDay=1. On early-close days the first run is skipped and the second
+// one evaluates after the 1:00 PM ET close; on other days only the first runs.
 module.exports = async (req, res) => {
+  if (!(await guardRequest(req, res))) return;
+  const halfDayRun = req.query.halfDay === '1' || req.query.halfDay === 'true';
+  if (tradingSession().halfDay !== halfDayRun) {
+    res.status(200).json({ status: 'skipped', reason: halfDayRun ? 'full-day' : 'half-day' });
+    return;
+  }
   try {
-    await checkAllocation(false, 'Test Update');
-    res.status(200).json({ status: 'ok' });
+    const result = await checkAllocation(false, 'Test Update');
+    res.status(200).json(result.skipped ? { status: 'skipped', reason: result.skipped } : { status: 'ok' });
   } catch (err) {
     console.error('test update error', err);
     res.status(500).json({ error: 'cron failure' });
@@ -0,0 +1,134 @@
+// Alert destinations: the DISCORD_WEBHOOK_URL channel plus one channel per
+// guild registered with /setup alerts
+const axios = require('axios');
+const {
+  DEFAULT_DESTINATION,
+  listNotifyUsers,
+  readAlertDestination,
+  updateAlertDestination,
+  listAlertGuilds,
+} = require('../storage');
+const { postChannelMessage, editChannelMessage } = require('./discord');
+
+const WEBHOOK_URL_RE = /^https:\/\/(?:(?:ptb|canary)\.)?discord(?:app)?\.com\/api\/(?:v\d+\/)?webhooks\/\d+\/[\w-]+$/;
+
+// Every destination alerts go to: { id, channelId, webhookUrl }
+async function listDestinations() {
+  const destinations = [];
+  if (process.env.DISCORD_WEBHOOK_URL) {
+    destinations.push({
+      id: DEFAULT_DESTINATION,
+      channelId: null,
+      webhookUrl: process.env.DISCORD_WEBHOOK_URL,
+    });
+  }
+  for (const guildId of await listAlertGuilds()) {
+    const destination = await readAlertDestination(guildId);
+    if (destination) destinations.push({ ...destination, id: guildId });
+  }
+  return destinations;
+}
+
+// Destination whose subscriber set a guild's buttons and menus update
+async function destinationFor(guildId) {
+  if (guildId && (await readAlertDestination(guildId))) return guildId;
+  return DEFAULT_DESTINATION;
+}
+
+// Posts to one destination and returns the message id, when known
+async function postAlert(destination, payload) {
+  if (destination.webhookUrl) {
+    const res = await axios.post(`${destination.webhookUrl}?wait=true`, payload);
+    return res.data && res.data.id;
+  }
+  const message = await postChannelMessage(destination.channelId, payload);
+  return message && message.id;
+}
+
+async function editAlert(destination, messageId, payload) {
+  if (destination.webhookUrl) {
+    await axios.patch(`${destination.webhookUrl}/messages/${messageId}`, payload);
+  } else {
+    await editChannelMessage(destination.channelId, messageId, payload);
+  }
+}
+
+// Keeps the last delivery error on guild destinations for /setup show
+async function recordResult(destination, error) {
+  if (destination.id === DEFAULT_DESTINATION) return;
+  const lastError = error ? { message: error.message, at: new Date().toISOString() } : null;
+  if (!lastError && !destination.lastError) return;
+  const { id, ...stored } = destination;
+  await updateAlertDestination(id, { ...stored, lastError });
+}
+
+/**
+ * Sends one message to every destination. `build(destination, members)`
+ * receives the destination's subscriber ids and returns
+ * { content, components, editedContent } or null to skip it; when
+ * `editedContent` is set the message is edited to it after five seconds
+ * (used to drop pings). Destinations are handled independently: a failing
+ * one is logged and recorded and never holds up the rest. Returns
+ * [{ id, status: 'sent' | 'skipped' | 'failed', error }].
+ */
+async function broadcast(build) {
+  const destinations = await listDestinations();
+  const results = await Promise.allSettled(
+    destinations.map(async (destination) => {
+      const members = await listNotifyUsers(destination.id);
+      const message = await build(destination, members);
+      if (!message) return 'skipped';
+      const messageId = await postAlert(destination, {
+        content: message.content,
+        components: message.components || [],
+      });
+      if (message.editedContent && messageId) {
+        await new Promise((resolve) => setTimeout(resolve, 5000));
+        await editAlert(destination, messageId, { content: message.editedContent });
+      }
+      return 'sent';
+    })
+  );
+
+  return Promise.all(
+    results.map(async (result, i) => {
+      const destination = destinations[i];
+      const error = result.status === 'rejected' ? result.reason : null;
+      if (error) console.error('[alerts] delivery failed', destination.id, error.message);
+      try {
+        await recordResult(destination, error);
+      } catch (err) {
+        console.error('[alerts] record result', destination.id, err);
+      }
+      return {
+        id: destination.id,
+        status: error ? 'failed' : result.value,
+        error: error ? error.message : null,
+      };
+    })
+  );
+}
+
+/**
+ * Notice for the bot's operators rather than subscribers, e.g. when market
+ * data fails validation. Goes to ADMIN_WEBHOOK_URL, or the DISCORD_WEBHOOK_URL
+ * channel when that is unset, and is only logged when neither is. Returns
+ * whether it was posted.
+ */
+async function sendAdminAlert(content) {
+  const url = process.env.ADMIN_WEBHOOK_URL || process.env.DISCORD_WEBHOOK_URL;
+  if (!url) {
+    console.log(content);
+    return false;
+  }
+  await axios.post(url, { content });
+  return true;
+}
+
+module.exports = {
+  WEBHOOK_URL_RE,
+  listDestinations,
+  destinationFor,
+  broadcast,
+  sendAdminAlert,
+};
@@ -0,0 +1,97 @@
+/**
+ * Structured allocations: { category, weights: { TICKER: fraction } }.
+ * Display text is derived with formatAllocation; comparisons use the weights
+ * so wording changes never count as an allocation change.
+ */
+
+const ALLOCATIONS = {
+  'Risk On': { category: 'Risk On', weights: { UPRO: 1 } },
+  'Risk Mid': { category: 'Risk Mid', weights: { SSO: 1 } },
+  'Risk Alt': { category: 'Risk Alt', weights: { UPRO: 0.25, ZROZ: 0.75 } },
+  'Risk Off': { category: 'Risk Off', weights: { SPY: 1 } },
+};
+
+const WEIGHT_EPSILON = 1e-9;
+
+function allocationFor(category) {
+  const allocation = ALLOCATIONS[category];
+  return allocation ? { category, weights: { ...allocation.weights } } : null;
+}
+
+// '25% UPRO + 75% ZROZ'
+function formatAllocation(allocation) {
+  if (!allocation || !allocation.weights) return 'Unknown';
+  return Object.keys(allocation.weights)
+    .map((ticker) => `${+(allocation.weights[ticker] * 100).toFixed(2)}% ${ticker}`)
+    .join(' + ');
+}
+
+function allocationsEqual(a, b) {
+  if (!a || !b || !a.weights || !b.weights) return false;
+  const tickers = new Set([...Object.keys(a.weights), ...Object.keys(b.weights)]);
+  return [...tickers].every(
+    (ticker) => Math.abs((a.weights[ticker] || 0) - (b.weights[ticker] || 0)) < WEIGHT_EPSILON
+  );
+}
+
+// Stable text for an allocation's weights, e.g. 'UPRO:25+ZROZ:75'
+function allocationKey(allocation) {
+  if (!allocation || !allocation.weights) return 'unknown';
+  return Object.keys(allocation.weights)
+    .filter((ticker) => Math.abs(allocation.weights[ticker]) >= WEIGHT_EPSILON)
+    .sort()
+    .map((ticker) => `${ticker}:${+(allocation.weights[ticker] * 100).toFixed(2)}`)
+    .join('+');
+}
+
+// Category whose weights match, or null for custom mixes
+function categoryForWeights(weights) {
+  return (
+    Object.keys(ALLOCATIONS).find((category) => allocationsEqual(ALLOCATIONS[category], { weights })) ||
+    null
+  );
+}
+
+/**
+ * Migrates any stored allocation value to the structured form. Accepts the
+ * structured object, its JSON text, or the legacy display strings such as
+ * '100% UPRO…' and '25% UPRO + 75% ZROZ'. Returns null when nothing usable
+ * is found.
+ */
+function normalizeAllocation(value) {
+  let parsed = value;
+  if (typeof parsed === 'string') {
+    try {
+      parsed = JSON.parse(parsed);
+    } catch (e) {
+      // Legacy display string
+    }
+  }
+
+  if (parsed && typeof parsed === 'object' && parsed.weights) {
+    const weights = { ...parsed.weights };
+    return { category: parsed.category || categoryForWeights(weights), weights };
+  }
+
+  if (typeof parsed === 'string') {
+    const weights = {};
+    const re = /(\d+(?:\.\d+)?)%\s*([A-Z][A-Z0-9.^]*)/g;
+    let match;
+    while ((match = re.exec(parsed)) !== null) {
+      weights[match[2]] = (weights[match[2]] || 0) + parseFloat(match[1]) / 100;
+    }
+    if (Object.keys(weights).length > 0) {
+      return { category: categoryForWeights(weights), weights };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  ALLOCATIONS,
+  allocationFor,
+  formatAllocation,
+  allocationsEqual,
+  allocationKey,
+  normalizeAllocation,
+};
@@ -0,0 +1,93 @@
+// Shared-secret checks and rate limiting for the HTTP endpoints
+const crypto = require('crypto');
+const { countRequest } = require('../storage');
+
+const RATE_LIMIT_WINDOW_SECONDS = 60;
+const DEFAULT_RATE_LIMIT = 30;
+
+// Constant-time string comparison, so response timing does not leak the key
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a || ''));
+  const right = Buffer.from(String(b || ''));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * API key sent with a request: `Authorization: Bearer <key>`, an `X-API-Key`
+ * header, or `?key=` for clients such as feed readers that only take a URL.
+ */
+function requestApiKey(req) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) return header.slice(7).trim();
+  return req.headers['x-api-key'] || (req.query && req.query.key) || null;
+}
+
+// True when the request carries API_KEY; always false while API_KEY is unset
+function hasApiKey(req) {
+  const key = process.env.API_KEY;
+  return Boolean(key) && safeEqual(requestApiKey(req), key);
+}
+
+// True for Vercel Cron invocations, which send `Authorization: Bearer <CRON_SECRET>`
+function hasCronSecret(req) {
+  const secret = process.env.CRON_SECRET;
+  return Boolean(secret) && safeEqual(req.headers.authorization, `Bearer ${secret}`);
+}
+
+function isAuthorized(req) {
+  return hasCronSecret(req) || hasApiKey(req);
+}
+
+// Client address: the first X-Forwarded-For hop on Vercel, else the socket peer
+function clientIp(req) {
+  const forwarded = req.headers['x-forwarded-for'];
+  if (forwarded) return String(forwarded).split(',')[0].trim();
+  return req.headers['x-real-ip'] || (req.socket && req.socket.remoteAddress) || 'unknown';
+}
+
+function rateLimitPerMinute() {
+  const limit = parseInt(process.env.RATE_LIMIT_PER_MINUTE, 10);
+  return limit > 0 ? limit : DEFAULT_RATE_LIMIT;
+}
+
+/**
+ * Admits or rejects a request to a protected endpoint, answering rejected
+ * ones itself: 429 with Retry-After when `rateLimit` is set and the client IP
+ * is over RATE_LIMIT_PER_MINUTE, 401 without CRON_SECRET or API_KEY. The
+ * limit counts every request, so it also slows down key guessing. If storage
+ * is down the limit is skipped rather than failing the request. Returns true
+ * when the handler should go on.
+ */
+async function guardRequest(req, res, { rateLimit = false } = {}) {
+  if (rateLimit) {
+    const limit = rateLimitPerMinute();
+    try {
+      const { count, resetAt } = await countRequest(clientIp(req), RATE_LIMIT_WINDOW_SECONDS);
+      res.setHeader('X-RateLimit-Limit', String(limit));
+      res.setHeader('X-RateLimit-Remaining', String(Math.max(0, limit - count)));
+      if (count > limit) {
+        res.setHeader('Retry-After', String(Math.max(1, Math.ceil((resetAt - Date.now()) / 1000))));
+        res.status(429).json({ error: 'Too many requests' });
+        return false;
+      }
+    } catch (err) {
+      console.error('[auth] rate limit', err);
+    }
+  }
+  if (!isAuthorized(req)) {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    res.status(401).json({ error: 'Missing or invalid credentials' });
+    return false;
+  }
+  return true;
+}
+
+module.exports = {
+  safeEqual,
+  requestApiKey,
+  hasApiKey,
+  hasCronSecret,
+  isAuthorized,
+  clientIp,
+  guardRequest,
+};
@@ -0,0 +1,219 @@
+// Historical replay of the strict MFEA model and the banded recommendation
+const { resolveParams } = require('./config');
+const { getProvider, createFixtureProvider } = require('./providers');
+const { allocationsEqual } = require('./allocation');
+const { annualizedVolatility, totalReturn, maxDrawdown } = require('./indicators');
+const {
+  VOL_WINDOW,
+  computeSignalData,
+  determineRiskCategory,
+  determineRecommendationWithBands,
+} = require('./financial');
+
+const SIGNAL_SYMBOL = 'SPY';
+const TREASURY_SYMBOL = '^IRX';
+const HOLDINGS = ['UPRO', 'SSO', 'ZROZ', 'SPY'];
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+// Calendar days replayed to rebuild a band state; a factor rarely stays in
+// its band longer than that
+const REPLAY_DAYS = 365;
+
+function toIsoDate(d) {
+  return d.toISOString().slice(0, 10);
+}
+
+function shiftDate(iso, days) {
+  const d = new Date(`${iso}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return toIsoDate(d);
+}
+
+/**
+ * Validates a start/end pair given as YYYY-MM-DD strings. `end` defaults to
+ * today. Throws with a user-facing message on bad input.
+ */
+function parseDateRange(start, end) {
+  const to = end || toIsoDate(new Date());
+  if (!DATE_RE.test(start || '') || isNaN(Date.parse(start))) {
+    throw new Error('Start date must be in YYYY-MM-DD format.');
+  }
+  if (!DATE_RE.test(to) || isNaN(Date.parse(to))) {
+    throw new Error('End date must be in YYYY-MM-DD format.');
+  }
+  if (start >= to) {
+    throw new Error('Start date must be before the end date.');
+  }
+  return { start, end: to };
+}
+
+function defaultProvider() {
+  return process.env.BACKTEST_DATA_DIR
+    ? createFixtureProvider(process.env.BACKTEST_DATA_DIR)
+    : getProvider();
+}
+
+async function loadDailyRows(provider, symbol, start, end) {
+  const series = await provider.getDailyCloses(symbol, {
+    start,
+    end,
+    adjusted: symbol !== TREASURY_SYMBOL,
+  });
+  return series.points
+    .filter((pt) => typeof pt.close === 'number')
+    .map((pt) => ({ date: toIsoDate(new Date(pt.timestamp * 1000)), close: pt.close }));
+}
+
+// Calendar days fetched before the first replayed day so the SMA has a full window
+function warmupDays(p) {
+  return Math.ceil((Math.max(p.smaLength, p.treasuryLookback) + VOL_WINDOW) * 1.6);
+}
+
+// Signal inputs at close `i` of `spyRows`, from the rates up to that date.
+// `cursor.rate` carries the position in `rateRows` from one day to the next.
+function signalsAt(spyRows, rateRows, i, p, cursor) {
+  const { date } = spyRows[i];
+  while (cursor.rate < rateRows.length && rateRows[cursor.rate].date <= date) cursor.rate++;
+  const rates = rateRows.slice(Math.max(0, cursor.rate - p.treasuryLookback - 1), cursor.rate).map((row) => row.close);
+  if (!rates.length) {
+    throw new Error(`No treasury rate data on or before ${date}.`);
+  }
+  return computeSignalData(spyRows.slice(i - p.smaLength + 1, i + 1).map((row) => row.close), rates, p);
+}
+
+function computeMetrics(equity, dates) {
+  const years = (Date.parse(dates[dates.length - 1]) - Date.parse(dates[0])) / (365.25 * 864e5);
+  const total = totalReturn(equity);
+  return {
+    totalReturn: total,
+    cagr: years > 0 ? Math.pow(1 + total, 1 / years) - 1 : 0,
+    maxDrawdown: maxDrawdown(equity),
+    volatility: annualizedVolatility(equity),
+  };
+}
+
+function portfolioReturn(allocation, day, prevDay, closes) {
+  const { weights } = allocation;
+  return Object.keys(weights).reduce((sum, sym) => {
+    const now = closes[sym].get(day);
+    const before = closes[sym].get(prevDay);
+    if (now == null || before == null) {
+      throw new Error(`No ${sym} price around ${day}; try a later start date.`);
+    }
+    return sum + weights[sym] * (now / before - 1);
+  }, 0);
+}
+
+function summarize(track, dates) {
+  return {
+    switches: track.switches,
+    switchCount: track.switches.length,
+    finalCategory: track.allocation.category,
+    finalAllocation: track.allocation,
+    ...computeMetrics(track.equity, dates),
+  };
+}
+
+/**
+ * Replays daily history between `start` and `end` (inclusive, YYYY-MM-DD),
+ * computing the strict and banded allocation at each close and holding it
+ * over the following session. The banded track carries its hysteresis state
+ * from day to day like the live cron does. `params` overrides the strategy
+ * parameters (see lib/config.js).
+ */
+async function runBacktest({ start, end, params, provider = defaultProvider() }) {
+  const range = parseDateRange(start, end);
+  const p = resolveParams(params);
+  const from = shiftDate(range.start, -warmupDays(p));
+  const symbols = [...new Set([SIGNAL_SYMBOL, TREASURY_SYMBOL, ...HOLDINGS])];
+  const series = await Promise.all(symbols.map((s) => loadDailyRows(provider, s, from, range.end)));
+
+  const closes = {};
+  symbols.forEach((sym, i) => {
+    closes[sym] = new Map(series[i].map((row) => [row.date, row.close]));
+  });
+  const spyRows = series[symbols.indexOf(SIGNAL_SYMBOL)];
+  const rateRows = series[symbols.indexOf(TREASURY_SYMBOL)];
+
+  const firstIdx = Math.max(
+    p.smaLength - 1,
+    spyRows.findIndex((row) => row.date >= range.start)
+  );
+  if (spyRows.length <= firstIdx + 1 || spyRows[firstIdx].date < range.start) {
+    throw new Error('Not enough price history for the requested range.');
+  }
+
+  const strict = { equity: [1], switches: [] };
+  const banded = { equity: [1], switches: [] };
+  const benchmark = { equity: [1] };
+  const daily = [];
+  const cursor = { rate: 0 };
+
+  for (let i = firstIdx; i < spyRows.length; i++) {
+    const { date } = spyRows[i];
+
+    if (i > firstIdx) {
+      const prev = spyRows[i - 1].date;
+      strict.equity.push(strict.equity[strict.equity.length - 1] * (1 + portfolioReturn(strict.allocation, date, prev, closes)));
+      banded.equity.push(banded.equity[banded.equity.length - 1] * (1 + portfolioReturn(banded.allocation, date, prev, closes)));
+      benchmark.equity.push(benchmark.equity[benchmark.equity.length - 1] * (spyRows[i].close / spyRows[i - 1].close));
+    }
+
+    const data = signalsAt(spyRows, rateRows, i, p, cursor);
+    const s = determineRiskCategory(data, p);
+    const b = determineRecommendationWithBands(data, banded.factorState, p);
+    banded.factorState = b.factorState;
+
+    [[strict, s.allocation], [banded, b.recommendedAllocation]].forEach(([track, allocation]) => {
+      if (track.allocation && !allocationsEqual(track.allocation, allocation)) {
+        track.switches.push({ date, from: track.allocation, to: allocation });
+      }
+      track.allocation = allocation;
+    });
+    daily.push({ date, ...data, strict: s.category, banded: b.recommendedCategory });
+  }
+
+  const dates = daily.map((d) => d.date);
+  return {
+    start: dates[0],
+    end: dates[dates.length - 1],
+    tradingDays: dates.length,
+    source: provider.name,
+    params: p,
+    strict: summarize(strict, dates),
+    banded: summarize(banded, dates),
+    benchmark: computeMetrics(benchmark.equity, dates),
+    daily,
+  };
+}
+
+/**
+ * Band factor state ({ effSpy, effVol14, effVol24, effTreas }) reached by
+ * carrying the hysteresis through the last `days` calendar days of closes
+ * with `params`, for a server whose parameters have no stored state yet.
+ * Uses the live provider, not BACKTEST_DATA_DIR.
+ */
+async function replayFactorState({ params, days = REPLAY_DAYS, provider = getProvider() }) {
+  const p = resolveParams(params);
+  const end = toIsoDate(new Date());
+  const start = shiftDate(end, -days);
+  const [spyRows, rateRows] = await Promise.all(
+    [SIGNAL_SYMBOL, TREASURY_SYMBOL].map((s) => loadDailyRows(provider, s, shiftDate(start, -warmupDays(p)), end))
+  );
+  const firstIdx = Math.max(p.smaLength - 1, spyRows.findIndex((row) => row.date >= start));
+  if (spyRows.length <= firstIdx) {
+    throw new Error('Not enough price history to rebuild the band state.');
+  }
+
+  const cursor = { rate: 0 };
+  let state = null;
+  for (let i = firstIdx; i < spyRows.length; i++) {
+    state = determineRecommendationWithBands(signalsAt(spyRows, rateRows, i, p, cursor), state, p).factorState;
+  }
+  return state;
+}
+
+module.exports = {
+  parseDateRange,
+  runBacktest,
+  replayFactorState,
+};
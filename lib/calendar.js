@@ -0,0 +1,242 @@
+// NYSE trading calendar: holidays, early closes and session times, computed
+// from the exchange's rules for any year, so no calendar needs updating.
+// Unscheduled closures (national days of mourning, storms) are not covered.
+
+const TIME_ZONE = 'America/New_York';
+const OPEN = { hour: 9, minute: 30 };
+const CLOSE = { hour: 16, minute: 0 };
+const EARLY_CLOSE = { hour: 13, minute: 0 };
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function isoDate(year, month, day) {
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+// Day of the week (0 = Sunday) of a YYYY-MM-DD date
+function weekday(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+// nth `day` of the week in a month, or the last one when n is -1
+function nthWeekday(year, month, day, n) {
+  if (n < 0) {
+    const last = isoDate(year, month, new Date(Date.UTC(year, month, 0)).getUTCDate());
+    return addDays(last, -((weekday(last) - day + 7) % 7));
+  }
+  const first = isoDate(year, month, 1);
+  return addDays(first, ((day - weekday(first) + 7) % 7) + (n - 1) * 7);
+}
+
+// Gregorian Easter Sunday (anonymous algorithm)
+function easter(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return isoDate(year, month, day);
+}
+
+// Fixed-date holidays move to Friday when on a Saturday, Monday when on a Sunday
+function observed(date) {
+  const day = weekday(date);
+  if (day === 6) return addDays(date, -1);
+  if (day === 0) return addDays(date, 1);
+  return date;
+}
+
+/**
+ * Full-day NYSE holidays of `year` as [{ date, name }], in date order.
+ * New Year's Day on a Saturday is not made up on the Friday before, which
+ * would fall in the previous year.
+ */
+function holidays(year) {
+  const list = [];
+  const newYear = isoDate(year, 1, 1);
+  if (weekday(newYear) !== 6) list.push({ date: observed(newYear), name: "New Year's Day" });
+  list.push(
+    { date: nthWeekday(year, 1, 1, 3), name: 'Martin Luther King Jr. Day' },
+    { date: nthWeekday(year, 2, 1, 3), name: "Washington's Birthday" },
+    { date: addDays(easter(year), -2), name: 'Good Friday' },
+    { date: nthWeekday(year, 5, 1, -1), name: 'Memorial Day' }
+  );
+  if (year >= 2022) list.push({ date: observed(isoDate(year, 6, 19)), name: 'Juneteenth' });
+  list.push(
+    { date: observed(isoDate(year, 7, 4)), name: 'Independence Day' },
+    { date: nthWeekday(year, 9, 1, 1), name: 'Labor Day' },
+    { date: nthWeekday(year, 11, 4, 4), name: 'Thanksgiving Day' },
+    { date: observed(isoDate(year, 12, 25)), name: 'Christmas Day' }
+  );
+  return list;
+}
+
+/**
+ * Early closes (1:00 PM ET) of `year` as [{ date, name }]: the day after
+ * Thanksgiving, and July 3 and Christmas Eve when they fall Monday to
+ * Thursday.
+ */
+function halfDays(year) {
+  const mondayToThursday = (date) => weekday(date) >= 1 && weekday(date) <= 4;
+  const list = [];
+  const july3 = isoDate(year, 7, 3);
+  if (mondayToThursday(july3)) list.push({ date: july3, name: 'Independence Day Eve' });
+  list.push({ date: addDays(nthWeekday(year, 11, 4, 4), 1), name: 'Day after Thanksgiving' });
+  const christmasEve = isoDate(year, 12, 24);
+  if (mondayToThursday(christmasEve)) list.push({ date: christmasEve, name: 'Christmas Eve' });
+  return list;
+}
+
+// { year, month, day, hour, minute } of an instant in New York
+function easternParts(instant) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: TIME_ZONE,
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    hourCycle: 'h23',
+  })
+    .formatToParts(instant)
+    .forEach(({ type, value }) => {
+      parts[type] = parseInt(value, 10);
+    });
+  return parts;
+}
+
+// New York calendar date (YYYY-MM-DD) of an instant
+function easternDate(instant = new Date()) {
+  const p = easternParts(instant);
+  return isoDate(p.year, p.month, p.day);
+}
+
+// Instant of a New York wall-clock time on `date`, accounting for DST
+function easternTime(date, { hour, minute }) {
+  const [year, month, day] = date.split('-').map(Number);
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  // Start from EST, then correct by the offset in effect at that instant
+  let guess = wall + 5 * 3600 * 1000;
+  const p = easternParts(new Date(guess));
+  guess += wall - Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute);
+  return new Date(guess);
+}
+
+/**
+ * The NYSE session on `date` (YYYY-MM-DD, or an instant taken in New York
+ * time): { date, trading, holiday, halfDay, open, close }. `holiday` is the
+ * holiday's name or null, `open`/`close` are Dates, null on days without a
+ * session.
+ */
+function tradingSession(date = new Date()) {
+  const day = typeof date === 'string' ? date : easternDate(date);
+  const year = parseInt(day.slice(0, 4), 10);
+  const holiday = holidays(year).find((h) => h.date === day);
+  const weekend = weekday(day) === 0 || weekday(day) === 6;
+  if (holiday || weekend) {
+    return {
+      date: day,
+      trading: false,
+      holiday: holiday ? holiday.name : null,
+      halfDay: false,
+      open: null,
+      close: null,
+    };
+  }
+  const halfDay = halfDays(year).some((h) => h.date === day);
+  return {
+    date: day,
+    trading: true,
+    holiday: null,
+    halfDay,
+    open: easternTime(day, OPEN),
+    close: easternTime(day, halfDay ? EARLY_CLOSE : CLOSE),
+  };
+}
+
+// First session starting after `instant`
+function nextSession(instant = new Date()) {
+  let day = easternDate(instant);
+  for (let i = 0; i < 14; i++, day = addDays(day, 1)) {
+    const session = tradingSession(day);
+    if (session.trading && session.open > instant) return session;
+  }
+  return null;
+}
+
+// Most recent session that opened at or before `instant`
+function latestSession(instant = new Date()) {
+  let day = easternDate(instant);
+  for (let i = 0; i < 14; i++, day = addDays(day, -1)) {
+    const session = tradingSession(day);
+    if (session.trading && session.open <= instant) return session;
+  }
+  return null;
+}
+
+// Number of sessions after `from` up to and including `to` (YYYY-MM-DD)
+function sessionsBetween(from, to) {
+  let count = 0;
+  for (let day = addDays(from, 1); day <= to; day = addDays(day, 1)) {
+    if (tradingSession(day).trading) count++;
+  }
+  return count;
+}
+
+/**
+ * Whether the market is open at `now`, with today's session and, when
+ * closed, the next one: { open, session, next }.
+ */
+function marketStatus(now = new Date()) {
+  const session = tradingSession(now);
+  const open = session.trading && now >= session.open && now < session.close;
+  return { open, session, next: open ? null : nextSession(now) };
+}
+
+function formatEastern(instant, withDay = false) {
+  const text = instant.toLocaleString('en-US', {
+    timeZone: TIME_ZONE,
+    ...(withDay && { weekday: 'short', month: 'short', day: 'numeric' }),
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+  return `${text} ET`;
+}
+
+// '🟢 Open until 4:00 PM ET' or '🔴 Closed (Good Friday), opens Mon, Apr 21, 9:30 AM ET'
+function formatMarketStatus({ open, session, next }) {
+  if (open) {
+    return `🟢 Open until ${formatEastern(session.close)}${session.halfDay ? ' (early close)' : ''}`;
+  }
+  const reason = session.holiday ? ` (${session.holiday})` : '';
+  return `🔴 Closed${reason}${next ? `, opens ${formatEastern(next.open, true)}` : ''}`;
+}
+
+module.exports = {
+  holidays,
+  halfDays,
+  easternDate,
+  tradingSession,
+  latestSession,
+  sessionsBetween,
+  marketStatus,
+  formatMarketStatus,
+};
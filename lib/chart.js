@@ -0,0 +1,195 @@
+// Line charts rendered in-process: an SVG built here, rasterized to PNG by resvg
+const path = require('path');
+
+const FONT_FILE = path.join(__dirname, '..', 'assets', 'fonts', 'Lato-Regular.ttf');
+const FONT_FAMILY = 'Lato';
+const MARGIN = { top: 48, right: 24, bottom: 44, left: 72 };
+const X_LABELS = 6;
+
+function escapeXml(text) {
+  return String(text).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+// Round steps (1, 2, 2.5, 5 × 10^n) giving about `count` gridlines
+function niceTicks(min, max, count = 5) {
+  if (min === max) {
+    const pad = Math.abs(min) * 0.05 || 1;
+    return niceTicks(min - pad, max + pad, count);
+  }
+  const raw = (max - min) / count;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+  const step = [1, 2, 2.5, 5, 10].map((m) => m * magnitude).find((s) => s >= raw);
+  const ticks = [];
+  for (let v = Math.floor(min / step) * step; v <= max + step * 1e-9; v += step) {
+    ticks.push(+v.toFixed(10));
+  }
+  if (ticks[ticks.length - 1] < max) ticks.push(+(ticks[ticks.length - 1] + step).toFixed(10));
+  return ticks;
+}
+
+// Path through the points, broken wherever a value is missing
+function linePath(values, x, y) {
+  let d = '';
+  let drawing = false;
+  values.forEach((v, i) => {
+    if (typeof v !== 'number' || !Number.isFinite(v)) {
+      drawing = false;
+      return;
+    }
+    d += `${drawing ? 'L' : 'M'}${x(i).toFixed(1)},${y(v).toFixed(1)}`;
+    drawing = true;
+  });
+  return d;
+}
+
+const PANEL_HEIGHT = 120;
+const PANEL_GAP = 40;
+
+function finiteValues(series) {
+  return series.flatMap((s) => s.values).filter((v) => typeof v === 'number' && Number.isFinite(v));
+}
+
+// Gridlines, y-axis labels and lines of one plot area spanning top..top+plotH
+function drawPlot(parts, { top, plotH, width, series, yFormat, ticks, guides = [], x }) {
+  const yMin = ticks[0];
+  const yMax = ticks[ticks.length - 1];
+  const y = (v) => top + plotH - ((v - yMin) / (yMax - yMin)) * plotH;
+
+  ticks.forEach((t) => {
+    const ty = y(t).toFixed(1);
+    parts.push(
+      `<line x1="${MARGIN.left}" x2="${width - MARGIN.right}" y1="${ty}" y2="${ty}" stroke="#000" stroke-opacity="0.1" stroke-dasharray="5 5"/>`,
+      `<text x="${MARGIN.left - 8}" y="${ty}" text-anchor="end" dominant-baseline="middle">${escapeXml(yFormat(t))}</text>`
+    );
+  });
+  guides.forEach((g) => {
+    const gy = y(g).toFixed(1);
+    parts.push(
+      `<line x1="${MARGIN.left}" x2="${width - MARGIN.right}" y1="${gy}" y2="${gy}" stroke="#888" stroke-dasharray="3 3"/>`
+    );
+  });
+
+  series.forEach((s) => {
+    parts.push(
+      `<path d="${linePath(s.values, x, y)}" fill="none" stroke="${s.color}" stroke-width="${s.width || 2}"` +
+        `${s.dashed ? ' stroke-dasharray="6 6"' : ''} stroke-linejoin="round"/>`
+    );
+  });
+}
+
+/**
+ * Builds an SVG line chart. `labels` are the x-axis labels (one per point);
+ * each of `series` is { label, values, color, dashed, width }, with values
+ * aligned to `labels` and null for gaps. A series without a label is drawn
+ * but not listed in the legend. `yFormat` formats axis values.
+ *
+ * `panels` adds plots below the main one sharing its x-axis, each
+ * { title, series, yFormat, min, max, guides }: `min`/`max` fix the scale and
+ * `guides` are values marked with a dotted line. The chart grows to fit them.
+ */
+function renderLineChartSvg({
+  title,
+  labels,
+  series,
+  width = 800,
+  height = 450,
+  yFormat = (v) => v.toFixed(2),
+  panels = [],
+}) {
+  const plotW = width - MARGIN.left - MARGIN.right;
+  const plotH = height - MARGIN.top - MARGIN.bottom;
+  const totalHeight = height + panels.length * (PANEL_HEIGHT + PANEL_GAP);
+  const all = finiteValues(series);
+  if (all.length === 0) throw new Error('No data to chart.');
+
+  const n = Math.max(labels.length, 2);
+  const x = (i) => MARGIN.left + (i / (n - 1)) * plotW;
+
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${totalHeight}" viewBox="0 0 ${width} ${totalHeight}" font-family="${FONT_FAMILY}" font-size="12" fill="#333">`,
+    `<rect width="${width}" height="${totalHeight}" fill="#ffffff"/>`,
+  ];
+  if (title) {
+    parts.push(`<text x="${MARGIN.left}" y="22" font-size="16">${escapeXml(title)}</text>`);
+  }
+
+  drawPlot(parts, {
+    top: MARGIN.top,
+    plotH,
+    width,
+    series,
+    yFormat,
+    ticks: niceTicks(Math.min(...all), Math.max(...all)),
+    x,
+  });
+
+  panels.forEach((panel, k) => {
+    const top = MARGIN.top + plotH + PANEL_GAP + k * (PANEL_HEIGHT + PANEL_GAP);
+    const values = finiteValues(panel.series);
+    const min = panel.min != null ? panel.min : Math.min(...values);
+    const max = panel.max != null ? panel.max : Math.max(...values);
+    parts.push(`<text x="${MARGIN.left}" y="${top - 8}">${escapeXml(panel.title || '')}</text>`);
+    drawPlot(parts, {
+      top,
+      plotH: PANEL_HEIGHT,
+      width,
+      series: panel.series,
+      yFormat: panel.yFormat || yFormat,
+      ticks: Number.isFinite(min) && Number.isFinite(max) ? niceTicks(min, max, 3) : [0, 1],
+      guides: panel.guides,
+      x,
+    });
+  });
+
+  const labelY = totalHeight - MARGIN.bottom + 20;
+  const labelCount = Math.min(X_LABELS, labels.length);
+  for (let k = 0; k < labelCount; k++) {
+    const i = labelCount === 1 ? 0 : Math.round((k / (labelCount - 1)) * (labels.length - 1));
+    const anchor = k === 0 ? 'start' : k === labelCount - 1 ? 'end' : 'middle';
+    parts.push(
+      `<text x="${x(i).toFixed(1)}" y="${labelY}" text-anchor="${anchor}">${escapeXml(labels[i])}</text>`
+    );
+  }
+
+  // Legend, right-aligned above the plot; unlabeled series are left out
+  let lx = width - MARGIN.right;
+  series.filter((s) => s.label).reverse().forEach((s) => {
+    const textWidth = s.label.length * 6.5;
+    lx -= textWidth;
+    parts.push(`<text x="${lx.toFixed(1)}" y="22">${escapeXml(s.label)}</text>`);
+    lx -= 26;
+    parts.push(
+      `<line x1="${lx.toFixed(1)}" x2="${(lx + 20).toFixed(1)}" y1="18" y2="18" stroke="${s.color}" stroke-width="2"${s.dashed ? ' stroke-dasharray="4 3"' : ''}/>`
+    );
+    lx -= 16;
+  });
+
+  parts.push('</svg>');
+  return parts.join('');
+}
+
+// Rasterizes an SVG with the bundled font, so no system fonts are needed
+function svgToPng(svg) {
+  // Loaded lazily: the native binding is only needed when a chart is drawn
+  const { Resvg } = require('@resvg/resvg-js');
+  const resvg = new Resvg(svg, {
+    font: {
+      fontFiles: [FONT_FILE],
+      loadSystemFonts: false,
+      defaultFontFamily: FONT_FAMILY,
+    },
+  });
+  return resvg.render().asPng();
+}
+
+// PNG Buffer of a line chart, see renderLineChartSvg for the options
+function renderLineChart(options) {
+  return svgToPng(renderLineChartSvg(options));
+}
+
+module.exports = {
+  niceTicks,
+  renderLineChartSvg,
+  svgToPng,
+  renderLineChart,
+};
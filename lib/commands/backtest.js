@@ -0,0 +1,141 @@
+// /backtest - DEFER, replaying history can take a while
+"use strict";
+
+const { InteractionResponseType } = require("discord-interactions");
+const { runBacktest } = require("../backtest");
+const { editOriginalResponse } = require("../discord");
+const { formatAllocation } = require("../allocation");
+const { formatParams } = require("../config");
+const { readGuildConfig } = require("../../storage");
+const { logDebug } = require("../log");
+
+const definition = {
+  name: "backtest",
+  description: "Replay the MFEA and banded strategies over a date range.",
+  options: [
+    {
+      name: "start",
+      type: 3, // STRING type
+      description: "Start date (YYYY-MM-DD)",
+      required: true,
+    },
+    {
+      name: "end",
+      type: 3, // STRING type
+      description: "End date (YYYY-MM-DD, defaults to today)",
+      required: false,
+    },
+  ],
+};
+
+// Helper to format a backtest summary as an embed field value
+function formatBacktestStats(stats) {
+  const pct = (v) => `${(v * 100).toFixed(2)}%`;
+  const lines = [
+    `CAGR: ${pct(stats.cagr)}`,
+    `Max Drawdown: ${pct(stats.maxDrawdown)}`,
+    `Volatility: ${pct(stats.volatility)}`,
+  ];
+  if (stats.switchCount !== undefined) {
+    lines.push(`Switches: ${stats.switchCount}`);
+  }
+  return lines.join("\n");
+}
+
+// Helper to list the most recent switch dates within the embed field limit
+function formatSwitches(switches) {
+  if (switches.length === 0) return "No switches.";
+  const lines = switches
+    .slice()
+    .reverse()
+    .map((s) => `${s.date}: ${formatAllocation(s.from)} → ${formatAllocation(s.to)}`);
+  let out = "";
+  let shown = 0;
+  for (const line of lines) {
+    if (out.length + line.length + 1 > 1000) {
+      out += `\n…and ${lines.length - shown} earlier`;
+      break;
+    }
+    out += (out ? "\n" : "") + line;
+    shown += 1;
+  }
+  return out;
+}
+
+async function execute(interaction, res) {
+  const { application_id, token } = interaction;
+  try {
+    logDebug("Handling /backtest command (deferral)");
+    res.status(200).json({
+      type: 5, // DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE
+      data: { content: "Running backtest…" },
+    });
+
+    (async () => {
+      const options = interaction.data.options || [];
+      const start = options.find((o) => o.name === "start")?.value;
+      const end = options.find((o) => o.name === "end")?.value;
+      let payload;
+      try {
+        const params = await readGuildConfig(interaction.guild_id);
+        const result = await runBacktest({ start, end, params });
+        payload = {
+          embeds: [
+            {
+              title: `Backtest ${result.start} → ${result.end}`,
+              color: 3447003,
+              fields: [
+                {
+                  name: "📊 Strict MFEA",
+                  value: formatBacktestStats(result.strict),
+                  inline: true,
+                },
+                {
+                  name: "💡 Banded",
+                  value: formatBacktestStats(result.banded),
+                  inline: true,
+                },
+                {
+                  name: "SPY Buy & Hold",
+                  value: formatBacktestStats(result.benchmark),
+                  inline: true,
+                },
+                {
+                  name: "Banded Switch Dates (newest first)",
+                  value: formatSwitches(result.banded.switches),
+                  inline: false,
+                },
+              ],
+              footer: {
+                text: `${result.tradingDays} trading days | ${formatParams(result.params)}`,
+              },
+              timestamp: new Date().toISOString(),
+            },
+          ],
+        };
+      } catch (err) {
+        console.error("[ERROR] /backtest failed:", err);
+        payload = { content: `⚠️ Backtest failed: ${err.message}` };
+      }
+
+      try {
+        await editOriginalResponse(application_id, token, payload);
+      } catch (err) {
+        console.error("[ERROR] /backtest patch failed:", err);
+      }
+    })();
+
+    return;
+  } catch (error) {
+    console.error("[ERROR] /backtest deferral setup:", error);
+    return res.status(500).json({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: { content: "⚠️ Unexpected error while deferring /backtest." },
+    });
+  }
+}
+
+module.exports = {
+  definition,
+  execute,
+};
@@ -0,0 +1,215 @@
+// /check - immediate, with the SPY chart attached
+"use strict";
+
+const { InteractionResponseType } = require("discord-interactions");
+const { SUBSCRIBE_COMPONENTS } = require("../../allocationCron");
+const {
+  fetchCheckFinancialData,
+  determineRiskCategory,
+  determineRecommendationWithBands,
+  describeBandAnalysis,
+  describeDataProblems,
+  formatTreasuryTrend,
+} = require("../financial");
+const { formatAllocation, allocationsEqual } = require("../allocation");
+const { respondWithFiles } = require("../discord");
+const { renderLineChart } = require("../chart");
+const { resolveParams, formatParams } = require("../config");
+const { readGuildConfig, readFactorState } = require("../../storage");
+const { replayFactorState } = require("../backtest");
+const { marketStatus, formatMarketStatus } = require("../calendar");
+const { logDebug } = require("../log");
+const { formatChartPrice } = require("./shared");
+
+const definition = {
+  name: "check",
+  description: "Display MFEA analysis status (Strict & Recommended).",
+};
+
+// Helper to draw SPY against its SMA and the SMA band for /check
+function renderCheckChart(financialData, params) {
+  const sma = parseFloat(financialData.sma220);
+  const flat = (value) => financialData.priceHistory.map(() => value);
+  return renderLineChart({
+    title: `SPY vs ${params.smaLength}-day SMA`,
+    labels: financialData.priceHistory.map((entry) => entry.date),
+    series: [
+      {
+        label: "SPY",
+        values: financialData.priceHistory.map((entry) => entry.price),
+        color: "#0070f3",
+      },
+      { label: `SMA ${params.smaLength}`, values: flat(sma), color: "#ff6600", dashed: true },
+      {
+        label: `±${+(params.smaBandPct * 100).toFixed(2)}% band`,
+        values: flat(sma * (1 + params.smaBandPct)),
+        color: "#bbbbbb",
+        dashed: true,
+        width: 1,
+      },
+      { label: "", values: flat(sma * (1 - params.smaBandPct)), color: "#bbbbbb", dashed: true, width: 1 },
+    ],
+    yFormat: formatChartPrice,
+  });
+}
+
+// Hysteresis state for the guild's parameters. The scheduled check keeps one
+// per guild with overrides; until it has run after a /config change, the
+// state is rebuilt from recent closes without being stored.
+async function guildFactorState(guildId, overrides, params) {
+  if (Object.keys(overrides).length === 0) return readFactorState();
+  const stored = await readFactorState(guildId);
+  if (stored) return stored;
+  try {
+    return await replayFactorState({ params });
+  } catch (err) {
+    console.error("[ERROR] /check band state:", err);
+    return null;
+  }
+}
+
+async function execute(interaction, res) {
+  try {
+    logDebug("Handling /check command");
+    const overrides = await readGuildConfig(interaction.guild_id);
+    const params = resolveParams(overrides);
+    const financialData = await fetchCheckFinancialData(params);
+    if (!financialData.dataQuality.ok) {
+      return res.status(200).json({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: `⚠️ Market data failed validation, no analysis is shown.\n${describeDataProblems(
+            financialData.dataQuality
+          )}`,
+        },
+      });
+    }
+
+    // 1. Strict MFEA
+    const { category: mfeaCategory, allocation: mfeaAllocation } =
+      determineRiskCategory(financialData, params);
+
+    // 2. Recommended (continuing from the cron's hysteresis state)
+    const { recommendedCategory, recommendedAllocation, bandInfo } =
+      determineRecommendationWithBands(
+        financialData,
+        await guildFactorState(interaction.guild_id, overrides, params),
+        params
+      );
+
+    // Treasury Rate Trend
+    const treasuryRateTrendValue = `${formatTreasuryTrend(
+      financialData.treasuryRateChange
+    )} since last ${params.treasuryLookback} trading days`;
+
+    // Band Influence Description
+    const bandInfluenceDescription = describeBandAnalysis(
+      bandInfo,
+      !allocationsEqual(mfeaAllocation, recommendedAllocation)
+    );
+
+    // SPY against its SMA and band; the analysis still goes out if drawing fails
+    const files = [];
+    try {
+      files.push({
+        name: "check.png",
+        data: renderCheckChart(financialData, params),
+        contentType: "image/png",
+      });
+    } catch (err) {
+      console.error("[ERROR] /check chart:", err);
+    }
+
+    // Construct and Send Embed
+    return respondWithFiles(res, {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        embeds: [
+          {
+            title: "MFEA Analysis Status & Recommendation",
+            color: 3447003,
+            fields: [
+              { name: "SPY Price", value: `$${financialData.spy}`, inline: true },
+              {
+                name: `${params.smaLength}-day SMA`,
+                value: `$${financialData.sma220}`,
+                inline: true,
+              },
+              {
+                name: "SPY Status",
+                value: `${financialData.spyStatus} the ${params.smaLength}-day SMA`,
+                inline: true,
+              },
+              {
+                name: "Volatility",
+                value: `${financialData.volatility}%`,
+                inline: true,
+              },
+              {
+                name: "3-Month Treasury Rate",
+                value: `${financialData.treasuryRate}%`,
+                inline: true,
+              },
+              {
+                name: "Treasury Rate Trend",
+                value: treasuryRateTrendValue,
+                inline: true,
+              },
+              {
+                name: "🕒 Market",
+                value: formatMarketStatus(marketStatus()),
+                inline: false,
+              },
+              {
+                name: "📊 MFEA Category",
+                value: mfeaCategory,
+                inline: false,
+              },
+              {
+                name: "📈 MFEA Allocation",
+                value: `**${formatAllocation(mfeaAllocation)}**`,
+                inline: false,
+              },
+              {
+                name: "💡 Recommended Allocation",
+                value: `**${formatAllocation(recommendedAllocation)}**`,
+                inline: false,
+              },
+              {
+                name: "⚙️ Band Influence Analysis",
+                value: bandInfluenceDescription,
+                inline: false,
+              },
+            ],
+            ...(files.length > 0 && { image: { url: "attachment://check.png" } }),
+            footer: {
+              text: `MFEA = Strict Model | Bands: ${formatParams(params)}`,
+            },
+            timestamp: new Date().toISOString(),
+          },
+        ],
+        components: SUBSCRIBE_COMPONENTS,
+      },
+    }, files);
+  } catch (error) {
+    console.error("[ERROR] Failed processing /check command:", error);
+    try {
+      return res.status(500).json({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: `⚠️ Unable to retrieve financial data: ${
+            error.message || "Please try again later."
+          }`,
+        },
+      });
+    } catch (responseError) {
+      console.error("Failed to send /check error response:", responseError);
+      return res.status(500).send("Internal Server Error");
+    }
+  }
+}
+
+module.exports = {
+  definition,
+  execute,
+};
@@ -0,0 +1,140 @@
+// /compare - DEFER, fetch every symbol in parallel and chart them together
+"use strict";
+
+const { InteractionResponseType } = require("discord-interactions");
+const { fetchTickerFinancialData } = require("../ticker");
+const { editOriginalResponse } = require("../discord");
+const { renderLineChart } = require("../chart");
+const {
+  COMPARE_COLORS,
+  parseSymbols,
+  compareSeries,
+  formatCompareTable,
+} = require("../compare");
+const { recordRecentTickers } = require("../../storage");
+const { TIMEFRAME_CHOICES } = require("./ticker");
+const { logDebug } = require("../log");
+
+const definition = {
+  name: "compare",
+  description: "Compare up to five tickers, normalized to 100 at the start.",
+  options: [
+    {
+      name: "symbols",
+      type: 3, // STRING type
+      description: "Up to five symbols, comma or space separated (e.g., UPRO, SSO, SPY)",
+      required: true,
+    },
+    {
+      name: "timeframe",
+      type: 3, // STRING type
+      description: "The timeframe to compare over",
+      required: true,
+      choices: TIMEFRAME_CHOICES,
+    },
+  ],
+};
+
+async function execute(interaction, res) {
+  const { application_id, token } = interaction;
+  try {
+    logDebug("Handling /compare command (deferral)");
+    const options = interaction.data.options || [];
+    let symbols;
+    try {
+      symbols = parseSymbols(options.find((o) => o.name === "symbols")?.value);
+    } catch (err) {
+      return res.status(200).json({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: { content: `⚠️ ${err.message}`, flags: 64 },
+      });
+    }
+    const timeframe = options.find((o) => o.name === "timeframe")?.value || "1y";
+
+    res.status(200).json({
+      type: 5, // DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE
+      data: { content: "Hang on, fetching data…" },
+    });
+
+    (async () => {
+      let payload;
+      let files = [];
+      try {
+        const settled = await Promise.allSettled(
+          symbols.map((symbol) => fetchTickerFinancialData(symbol, timeframe))
+        );
+        const results = settled
+          .filter((r) => r.status === "fulfilled")
+          .map((r) => r.value);
+        const failed = symbols.filter((_, i) => settled[i].status === "rejected");
+        if (results.length === 0) {
+          throw new Error(`No data for ${failed.join(", ")}.`);
+        }
+        await recordRecentTickers(results.map((r) => r.ticker));
+
+        const { labels, rows } = compareSeries(results, timeframe);
+        files = [
+          {
+            name: "compare.png",
+            data: renderLineChart({
+              title: `Growth of 100 · ${timeframe.toUpperCase()}`,
+              labels,
+              series: rows.map((row, i) => ({
+                label: row.ticker,
+                values: row.values,
+                color: COMPARE_COLORS[i],
+              })),
+              yFormat: (v) => v.toFixed(0),
+            }),
+            contentType: "image/png",
+          },
+        ];
+        const fields = [
+          { name: "Performance", value: formatCompareTable(rows), inline: false },
+        ];
+        if (failed.length > 0) {
+          fields.push({ name: "Skipped", value: `No data for ${failed.join(", ")}`, inline: false });
+        }
+        payload = {
+          content: "",
+          embeds: [
+            {
+              title: `${rows.map((row) => row.ticker).join(" vs ")}`,
+              color: 3447003,
+              description: `From ${labels[0]} to ${labels[labels.length - 1]}`,
+              fields,
+              image: { url: "attachment://compare.png" },
+              footer: {
+                text: `Vol = annualized volatility | Data fetched from ${results[0].source}`,
+              },
+              timestamp: new Date().toISOString(),
+            },
+          ],
+        };
+      } catch (err) {
+        console.error("[ERROR] /compare failed:", err);
+        files = [];
+        payload = { content: `⚠️ Comparison failed: ${err.message}` };
+      }
+
+      try {
+        await editOriginalResponse(application_id, token, payload, files);
+      } catch (err) {
+        console.error("[ERROR] /compare patch failed:", err);
+      }
+    })();
+
+    return;
+  } catch (error) {
+    console.error("[ERROR] /compare deferral setup:", error);
+    return res.status(500).json({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: { content: "⚠️ Unexpected error while deferring /compare." },
+    });
+  }
+}
+
+module.exports = {
+  definition,
+  execute,
+};
@@ -0,0 +1,157 @@
+// /config - per-guild strategy parameters
+"use strict";
+
+const { InteractionResponseType } = require("discord-interactions");
+const {
+  DEFAULT_PARAMS,
+  PARAM_SPECS,
+  validateParam,
+  resolveParams,
+  formatParams,
+} = require("../config");
+const { readGuildConfig, updateGuildConfig } = require("../../storage");
+const { logDebug } = require("../log");
+
+const PARAMETER_CHOICES = Object.keys(PARAM_SPECS).map((key) => ({
+  name: PARAM_SPECS[key].label,
+  value: key,
+}));
+
+const definition = {
+  name: "config",
+  description: "View or change this server's strategy parameters.",
+  options: [
+    {
+      name: "view",
+      type: 1, // SUB_COMMAND type
+      description: "Show the active strategy parameters.",
+    },
+    {
+      name: "set",
+      type: 1, // SUB_COMMAND type
+      description: "Change a strategy parameter.",
+      options: [
+        {
+          name: "parameter",
+          type: 3, // STRING type
+          description: "The parameter to change",
+          required: true,
+          choices: PARAMETER_CHOICES,
+        },
+        {
+          name: "value",
+          type: 10, // NUMBER type
+          description: "The new value",
+          required: true,
+        },
+      ],
+    },
+    {
+      name: "reset",
+      type: 1, // SUB_COMMAND type
+      description: "Restore the default for one parameter, or all of them.",
+      options: [
+        {
+          name: "parameter",
+          type: 3, // STRING type
+          description: "The parameter to reset (all if omitted)",
+          required: false,
+          choices: PARAMETER_CHOICES,
+        },
+      ],
+    },
+  ],
+};
+
+// Helper to render stored overrides and active values for /config
+function buildConfigEmbed(overrides) {
+  const params = resolveParams(overrides);
+  return {
+    title: "Strategy Parameters",
+    color: 3447003,
+    fields: Object.keys(PARAM_SPECS).map((key) => ({
+      name: PARAM_SPECS[key].label,
+      value:
+        key in overrides
+          ? `**${params[key]}** (default ${DEFAULT_PARAMS[key]})`
+          : `${params[key]} (default)`,
+      inline: true,
+    })),
+    footer: { text: formatParams(params) },
+  };
+}
+
+async function execute(interaction, res) {
+  try {
+    logDebug("Handling /config command");
+    if (!interaction.guild_id) {
+      return res.status(200).json({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: "⚠️ /config can only be used inside a server.",
+          flags: 64,
+        },
+      });
+    }
+    const sub = interaction.data.options?.[0] || {};
+    const subOptions = sub.options || [];
+    const parameter = subOptions.find((o) => o.name === "parameter")?.value;
+    const overrides = await readGuildConfig(interaction.guild_id);
+    let content = null;
+
+    if (sub.name === "set") {
+      const value = subOptions.find((o) => o.name === "value")?.value;
+      let checked;
+      try {
+        checked = validateParam(parameter, value);
+        const next = resolveParams({ ...overrides, [parameter]: checked });
+        if (next[parameter] !== checked) {
+          throw new Error(
+            "The low volatility threshold must stay below the high one."
+          );
+        }
+      } catch (err) {
+        return res.status(200).json({
+          type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+          data: { content: `⚠️ ${err.message}`, flags: 64 },
+        });
+      }
+      overrides[parameter] = checked;
+      if (!(await updateGuildConfig(interaction.guild_id, overrides))) {
+        throw new Error("Failed to save configuration.");
+      }
+      content = `✅ ${PARAM_SPECS[parameter].label} set to ${checked}.`;
+    } else if (sub.name === "reset") {
+      if (parameter) {
+        delete overrides[parameter];
+      } else {
+        Object.keys(overrides).forEach((key) => delete overrides[key]);
+      }
+      if (!(await updateGuildConfig(interaction.guild_id, overrides))) {
+        throw new Error("Failed to save configuration.");
+      }
+      content = parameter
+        ? `↩️ ${PARAM_SPECS[parameter].label} reset to ${DEFAULT_PARAMS[parameter]}.`
+        : "↩️ All parameters reset to defaults.";
+    }
+
+    return res.status(200).json({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        ...(content ? { content } : {}),
+        embeds: [buildConfigEmbed(overrides)],
+      },
+    });
+  } catch (error) {
+    console.error("[ERROR] /config:", error);
+    return res.status(500).json({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: { content: "⚠️ Error processing /config.", flags: 64 },
+    });
+  }
+}
+
+module.exports = {
+  definition,
+  execute,
+};
@@ -0,0 +1,33 @@
+// /hi - immediate
+"use strict";
+
+const { InteractionResponseType } = require("discord-interactions");
+const { logDebug } = require("../log");
+
+const definition = { name: "hi", description: "Say hello!" };
+
+async function execute(interaction, res) {
+  try {
+    logDebug("Handling /hi command");
+    return res.status(200).json({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: { content: "hii <3" },
+    });
+  } catch (error) {
+    console.error("[ERROR] /hi:", error);
+    try {
+      return res.status(500).json({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: { content: "⚠️ Error processing /hi." },
+      });
+    } catch (e) {
+      console.error("Failed to send /hi error", e);
+      return res.status(500).send("Error");
+    }
+  }
+}
+
+module.exports = {
+  definition,
+  execute,
+};
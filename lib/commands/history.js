@@ -0,0 +1,145 @@
+// /history - first page of the allocation timeline
+"use strict";
+
+const { InteractionResponseType } = require("discord-interactions");
+const {
+  buildTimeline,
+  parseHistoryFilter,
+  filterTimeline,
+  formatDuration,
+} = require("../history");
+const { formatAllocation } = require("../allocation");
+const { readHistory } = require("../../storage");
+const { logDebug } = require("../log");
+
+const definition = {
+  name: "history",
+  description: "Show the timeline of allocation changes.",
+  options: [
+    {
+      name: "from",
+      type: 3, // STRING type
+      description: "Only changes on or after this date (YYYY-MM-DD)",
+      required: false,
+    },
+    {
+      name: "to",
+      type: 3, // STRING type
+      description: "Only changes on or before this date (YYYY-MM-DD)",
+      required: false,
+    },
+  ],
+};
+
+const HISTORY_PAGE_SIZE = 5;
+
+// Helper to render one page of the allocation timeline with Previous/Next
+// buttons. The page and filter travel in the buttons' custom_id.
+async function buildHistoryPage(page, filter) {
+  const timeline = filterTimeline(buildTimeline(await readHistory()), filter);
+  const pageCount = Math.max(1, Math.ceil(timeline.length / HISTORY_PAGE_SIZE));
+  const current = Math.min(Math.max(page, 0), pageCount - 1);
+  const changes = timeline.slice(
+    current * HISTORY_PAGE_SIZE,
+    (current + 1) * HISTORY_PAGE_SIZE
+  );
+
+  const description = changes.length
+    ? changes
+        .map(
+          (c) =>
+            `**${c.date}** ${c.from ? formatAllocation(c.from) : "—"} → **${formatAllocation(c.to)}**\n` +
+            `${c.current ? "Current for" : "Lasted"} ${formatDuration(c.durationMs)}`
+        )
+        .join("\n\n")
+    : "No allocation changes recorded for this period.";
+
+  const range =
+    filter.from || filter.to
+      ? ` | ${filter.from || "…"} to ${filter.to || "…"}`
+      : "";
+  const idFor = (p) => `history:${p}:${filter.from || ""}:${filter.to || ""}`;
+
+  return {
+    embeds: [
+      {
+        title: "Allocation History",
+        color: 3447003,
+        description,
+        footer: {
+          text: `Page ${current + 1} of ${pageCount} | ${timeline.length} changes${range}`,
+        },
+      },
+    ],
+    components: [
+      {
+        type: 1,
+        components: [
+          {
+            type: 2,
+            style: 2,
+            label: "Previous",
+            custom_id: idFor(current - 1),
+            disabled: current === 0,
+          },
+          {
+            type: 2,
+            style: 2,
+            label: "Next",
+            custom_id: idFor(current + 1),
+            disabled: current >= pageCount - 1,
+          },
+        ],
+      },
+    ],
+  };
+}
+
+async function execute(interaction, res) {
+  try {
+    logDebug("Handling /history command");
+    const options = interaction.data.options || [];
+    let filter;
+    try {
+      filter = parseHistoryFilter(
+        options.find((o) => o.name === "from")?.value,
+        options.find((o) => o.name === "to")?.value
+      );
+    } catch (err) {
+      return res.status(200).json({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: { content: `⚠️ ${err.message}`, flags: 64 },
+      });
+    }
+    return res.status(200).json({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: await buildHistoryPage(0, filter),
+    });
+  } catch (error) {
+    console.error("[ERROR] /history:", error);
+    return res.status(500).json({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: { content: "⚠️ Error processing /history." },
+    });
+  }
+}
+
+// Previous/Next buttons, custom_id `history:<page>:<from>:<to>`
+async function handlePage(interaction, res) {
+  const [, page, from, to] = interaction.data.custom_id.split(":");
+  return res.status(200).json({
+    type: InteractionResponseType.UPDATE_MESSAGE,
+    data: await buildHistoryPage(parseInt(page, 10) || 0, {
+      from: from || null,
+      to: to || null,
+    }),
+  });
+}
+
+const components = { history: handlePage };
+
+module.exports = {
+  definition,
+  execute,
+  components,
+};
@@ -0,0 +1,51 @@
+/**
+ * Slash command registry. Each command lives in its own module exporting
+ * `definition` (the payload registered with Discord) and
+ * `execute(interaction, res)`, optionally `autocomplete(interaction)` returning
+ * choices and `components`: handlers keyed by the part of a component's
+ * custom_id before the first `:`. api/index.js dispatches through this
+ * registry and register-commands.js registers the same definitions.
+ */
+"use strict";
+
+const COMMANDS = [
+  require("./hi"),
+  require("./check"),
+  require("./ticker"),
+  require("./compare"),
+  require("./test"),
+  require("./backtest"),
+  require("./config"),
+  require("./history"),
+  require("./portfolio"),
+  require("./rebalance"),
+  require("./notify"),
+  require("./setup"),
+  require("./permissions"),
+];
+
+// Modules that handle message components without being a command
+const COMPONENT_MODULES = [require("./subscribe")];
+
+function commandDefinitions() {
+  return COMMANDS.map((command) => command.definition);
+}
+
+function findCommand(name) {
+  const key = String(name || "").toLowerCase();
+  return COMMANDS.find((command) => command.definition.name === key) || null;
+}
+
+function findComponentHandler(customId) {
+  const key = String(customId || "").split(":")[0];
+  const owner = [...COMMANDS, ...COMPONENT_MODULES].find(
+    (module) => module.components && module.components[key]
+  );
+  return owner ? owner.components[key] : null;
+}
+
+module.exports = {
+  commandDefinitions,
+  findCommand,
+  findComponentHandler,
+};
@@ -0,0 +1,162 @@
+// /notify - personal notification preferences, ephemeral
+"use strict";
+
+const { InteractionResponseType } = require("discord-interactions");
+const {
+  NOTIFY_EVENTS,
+  DELIVERY_METHODS,
+  formatHour,
+  formatQuietHours,
+  applySelection,
+} = require("../notify");
+const { destinationFor } = require("../alerts");
+const { readNotifyPrefs, updateNotifyPrefs } = require("../../storage");
+const { logDebug } = require("../log");
+
+const definition = {
+  name: "notify",
+  description: "Choose how and when you get allocation notifications.",
+};
+
+// Helper to render a user's notification preferences with select menus.
+// Each menu's custom_id is `notify:<field>`, see applySelection in lib/notify.js.
+function buildNotifyPanel(prefs) {
+  const hours = Array.from({ length: 24 }, (_, hour) => hour);
+  const quiet = prefs.quietHours;
+  return {
+    embeds: [
+      {
+        title: "Notification Preferences",
+        color: 3447003,
+        fields: [
+          {
+            name: "Events",
+            value: prefs.events.length
+              ? prefs.events.map((event) => NOTIFY_EVENTS[event]).join("\n")
+              : "None (notifications off)",
+            inline: true,
+          },
+          { name: "Delivery", value: DELIVERY_METHODS[prefs.delivery], inline: true },
+          { name: "Quiet Hours", value: formatQuietHours(quiet), inline: true },
+        ],
+        footer: {
+          text:
+            "Events apply to this server's alert channel. Pings and DMs due during quiet hours are dropped, not sent later. Times in UTC",
+        },
+      },
+    ],
+    components: [
+      {
+        type: 1,
+        components: [
+          {
+            type: 3, // STRING_SELECT
+            custom_id: "notify:events",
+            placeholder: "Events to receive",
+            min_values: 0,
+            max_values: Object.keys(NOTIFY_EVENTS).length,
+            options: Object.keys(NOTIFY_EVENTS).map((event) => ({
+              label: NOTIFY_EVENTS[event],
+              value: event,
+              default: prefs.events.includes(event),
+            })),
+          },
+        ],
+      },
+      {
+        type: 1,
+        components: [
+          {
+            type: 3,
+            custom_id: "notify:delivery",
+            placeholder: "Delivery",
+            options: Object.keys(DELIVERY_METHODS).map((method) => ({
+              label: DELIVERY_METHODS[method],
+              value: method,
+              default: prefs.delivery === method,
+            })),
+          },
+        ],
+      },
+      {
+        type: 1,
+        components: [
+          {
+            type: 3,
+            custom_id: "notify:quiet_start",
+            placeholder: "Quiet hours start",
+            options: [
+              { label: "Quiet hours off", value: "off", default: !quiet },
+              ...hours.map((hour) => ({
+                label: `Quiet from ${formatHour(hour)}`,
+                value: String(hour),
+                default: Boolean(quiet) && quiet.start === hour,
+              })),
+            ],
+          },
+        ],
+      },
+      {
+        type: 1,
+        components: [
+          {
+            type: 3,
+            custom_id: "notify:quiet_end",
+            placeholder: "Quiet hours end",
+            options: hours.map((hour) => ({
+              label: `Quiet until ${formatHour(hour)}`,
+              value: String(hour),
+              default: Boolean(quiet) && quiet.end === hour,
+            })),
+          },
+        ],
+      },
+    ],
+    flags: 64,
+  };
+}
+
+async function execute(interaction, res) {
+  try {
+    logDebug("Handling /notify command");
+    const uid = interaction.member?.user?.id || interaction.user?.id;
+    return res.status(200).json({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: buildNotifyPanel(
+        await readNotifyPrefs(uid, await destinationFor(interaction.guild_id))
+      ),
+    });
+  } catch (error) {
+    console.error("[ERROR] /notify:", error);
+    return res.status(500).json({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: { content: "⚠️ Error processing /notify.", flags: 64 },
+    });
+  }
+}
+
+// Select menus of the panel, custom_id `notify:<field>`
+async function handleSelect(interaction, res) {
+  const uid = interaction.member?.user?.id || interaction.user?.id;
+  const field = interaction.data.custom_id.slice("notify:".length);
+  const destinationId = await destinationFor(interaction.guild_id);
+  const prefs = applySelection(
+    await readNotifyPrefs(uid, destinationId),
+    field,
+    interaction.data.values || []
+  );
+  return res.status(200).json({
+    type: InteractionResponseType.UPDATE_MESSAGE,
+    data: buildNotifyPanel(
+      (await updateNotifyPrefs(uid, prefs, destinationId)) || prefs
+    ),
+  });
+}
+
+const components = { notify: handleSelect };
+
+module.exports = {
+  definition,
+  execute,
+  components,
+};
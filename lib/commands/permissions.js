@@ -0,0 +1,155 @@
+// /permissions - per-guild command policy, replies are ephemeral
+"use strict";
+
+const { InteractionResponseType } = require("discord-interactions");
+const {
+  ADMIN_DEFAULT_PERMISSIONS,
+  ACCESS_LEVELS,
+  RESTRICTABLE_COMMANDS,
+  accessLevel,
+} = require("../permissions");
+const { readPermissionPolicy, updatePermissionPolicy } = require("../../storage");
+const { logDebug } = require("../log");
+
+const definition = {
+  name: "permissions",
+  description: "Control who can run admin commands in this server.",
+  default_member_permissions: ADMIN_DEFAULT_PERMISSIONS,
+  dm_permission: false,
+  options: [
+    {
+      name: "show",
+      type: 1, // SUB_COMMAND type
+      description: "Show the admin roles and who can run each command.",
+    },
+    {
+      name: "role",
+      type: 1, // SUB_COMMAND type
+      description: "Add or remove a role whose members count as admins.",
+      options: [
+        {
+          name: "role",
+          type: 8, // ROLE type
+          description: "The role",
+          required: true,
+        },
+        {
+          name: "admin",
+          type: 5, // BOOLEAN type
+          description: "Whether members with this role count as admins",
+          required: true,
+        },
+      ],
+    },
+    {
+      name: "command",
+      type: 1, // SUB_COMMAND type
+      description: "Choose who can run a command.",
+      options: [
+        {
+          name: "command",
+          type: 3, // STRING type
+          description: "The command",
+          required: true,
+          choices: Object.keys(RESTRICTABLE_COMMANDS).map((key) => ({
+            name: `/${key}`,
+            value: key,
+          })),
+        },
+        {
+          name: "access",
+          type: 3, // STRING type
+          description: "Who can run it",
+          required: true,
+          choices: Object.keys(ACCESS_LEVELS).map((level) => ({
+            name: ACCESS_LEVELS[level],
+            value: level,
+          })),
+        },
+      ],
+    },
+    {
+      name: "reset",
+      type: 1, // SUB_COMMAND type
+      description: "Restore the default policy.",
+    },
+  ],
+};
+
+// Helper to describe a guild's command policy for /permissions
+function buildPermissionsEmbed(policy) {
+  const commands = Object.keys(RESTRICTABLE_COMMANDS).map((key) => {
+    const level = accessLevel(key, policy);
+    const note = key in policy.commands ? "" : " (default)";
+    return `/${key}: ${ACCESS_LEVELS[level]}${note}`;
+  });
+  return {
+    title: "Command Permissions",
+    color: 3447003,
+    fields: [
+      {
+        name: "Admins",
+        value: [
+          "Members with Administrator or Manage Server",
+          ...policy.adminRoles.map((role) => `<@&${role}>`),
+        ].join("\n"),
+      },
+      { name: "Commands", value: commands.join("\n") },
+    ],
+    footer: { text: "/permissions is always admins only." },
+  };
+}
+
+async function execute(interaction, res) {
+  try {
+    logDebug("Handling /permissions command");
+    const guildId = interaction.guild_id;
+    const sub = interaction.data.options?.[0] || {};
+    const subOptions = sub.options || [];
+    const policy = await readPermissionPolicy(guildId);
+    let content = null;
+
+    if (sub.name === "role") {
+      const role = subOptions.find((o) => o.name === "role").value;
+      const admin = subOptions.find((o) => o.name === "admin").value;
+      policy.adminRoles = policy.adminRoles.filter((id) => id !== role);
+      if (admin) policy.adminRoles.push(role);
+      content = admin
+        ? `✅ Members with <@&${role}> now count as admins.`
+        : `↩️ <@&${role}> no longer counts as an admin role.`;
+    } else if (sub.name === "command") {
+      const key = subOptions.find((o) => o.name === "command").value;
+      const level = subOptions.find((o) => o.name === "access").value;
+      policy.commands[key] = level;
+      content = `✅ /${key}: ${ACCESS_LEVELS[level]}.`;
+    } else if (sub.name === "reset") {
+      policy.adminRoles = [];
+      policy.commands = {};
+      content = "↩️ Command permissions reset to defaults.";
+    }
+    if (content && !(await updatePermissionPolicy(guildId, policy))) {
+      throw new Error("Failed to save permissions.");
+    }
+
+    return res.status(200).json({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        ...(content ? { content } : {}),
+        embeds: [buildPermissionsEmbed(policy)],
+        allowed_mentions: { parse: [] },
+        flags: 64,
+      },
+    });
+  } catch (error) {
+    console.error("[ERROR] /permissions:", error);
+    return res.status(500).json({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: { content: "⚠️ Error processing /permissions.", flags: 64 },
+    });
+  }
+}
+
+module.exports = {
+  definition,
+  execute,
+};
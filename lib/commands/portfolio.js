@@ -0,0 +1,196 @@
+// /portfolio - personal holdings, replies are ephemeral
+"use strict";
+
+const { InteractionResponseType } = require("discord-interactions");
+const {
+  normalizeTicker,
+  valuePortfolio,
+  computeDrift,
+  maxDrift,
+  formatDriftTable,
+} = require("../portfolio");
+const { formatAllocation } = require("../allocation");
+const { readPortfolio, updatePortfolio } = require("../../storage");
+const { logDebug } = require("../log");
+const { currentRecommendedAllocation } = require("./shared");
+
+const definition = {
+  name: "portfolio",
+  description: "Track your holdings against the recommended allocation.",
+  options: [
+    {
+      name: "set",
+      type: 1, // SUB_COMMAND type
+      description: "Set the shares held for a ticker (0 removes it).",
+      options: [
+        {
+          name: "ticker",
+          type: 3, // STRING type
+          description: "The ticker symbol (e.g., UPRO)",
+          required: true,
+        },
+        {
+          name: "shares",
+          type: 10, // NUMBER type
+          description: "Number of shares held",
+          required: true,
+          min_value: 0,
+        },
+      ],
+    },
+    {
+      name: "show",
+      type: 1, // SUB_COMMAND type
+      description: "Value your holdings and show drift per ticker.",
+    },
+    {
+      name: "clear",
+      type: 1, // SUB_COMMAND type
+      description: "Remove all your holdings.",
+    },
+    {
+      name: "alert",
+      type: 1, // SUB_COMMAND type
+      description: "Get pinged when drift passes a threshold (0 turns it off).",
+      options: [
+        {
+          name: "threshold",
+          type: 10, // NUMBER type
+          description: "Drift threshold in percentage points",
+          required: true,
+          min_value: 0,
+          max_value: 100,
+        },
+      ],
+    },
+  ],
+};
+
+// Helper to build the /portfolio show embed
+async function buildPortfolioEmbed(portfolio) {
+  const allocation = await currentRecommendedAllocation();
+  const valued = await valuePortfolio(portfolio.holdings);
+  const rows = computeDrift(valued, allocation.weights);
+  const worst = maxDrift(rows);
+  const alertText =
+    portfolio.driftThreshold == null
+      ? "Drift alerts off"
+      : `Drift alert at ${portfolio.driftThreshold} pts`;
+  return {
+    title: "Your Portfolio",
+    color: 3447003,
+    description: "```\n" + formatDriftTable(rows) + "\n```",
+    fields: [
+      {
+        name: "Total Value",
+        value: `$${valued.total.toFixed(2)}`,
+        inline: true,
+      },
+      {
+        name: "💡 Recommended",
+        value: formatAllocation(allocation),
+        inline: true,
+      },
+      {
+        name: "Largest Drift",
+        value: `${worst.ticker} ${worst.drift >= 0 ? "+" : ""}${worst.drift.toFixed(1)} pts`,
+        inline: true,
+      },
+    ],
+    footer: { text: `Drift = weight − target, in percentage points | ${alertText}` },
+    timestamp: new Date().toISOString(),
+  };
+}
+
+async function execute(interaction, res) {
+  try {
+    logDebug("Handling /portfolio command");
+    const userId = interaction.member?.user?.id || interaction.user?.id;
+    const sub = interaction.data.options?.[0] || {};
+    const subOptions = sub.options || [];
+    const optionValue = (name) =>
+      subOptions.find((o) => o.name === name)?.value;
+    const reply = (data) =>
+      res.status(200).json({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: { ...data, flags: 64 },
+      });
+
+    const portfolio = await readPortfolio(userId);
+
+    if (sub.name === "set") {
+      let ticker;
+      try {
+        ticker = normalizeTicker(optionValue("ticker"));
+      } catch (err) {
+        return reply({ content: `⚠️ ${err.message}` });
+      }
+      const shares = Number(optionValue("shares"));
+      if (!Number.isFinite(shares) || shares < 0) {
+        return reply({ content: "⚠️ Shares must be zero or more." });
+      }
+      if (shares === 0) {
+        delete portfolio.holdings[ticker];
+      } else {
+        portfolio.holdings[ticker] = shares;
+      }
+      if (!(await updatePortfolio(userId, portfolio))) {
+        throw new Error("Failed to save portfolio.");
+      }
+      return reply({
+        content:
+          shares === 0
+            ? `🗑️ Removed ${ticker} from your portfolio.`
+            : `✅ ${ticker}: ${shares} shares saved.`,
+      });
+    }
+
+    if (sub.name === "clear") {
+      portfolio.holdings = {};
+      portfolio.driftAlerted = false;
+      if (!(await updatePortfolio(userId, portfolio))) {
+        throw new Error("Failed to save portfolio.");
+      }
+      return reply({ content: "🗑️ Your holdings were cleared." });
+    }
+
+    if (sub.name === "alert") {
+      const threshold = Number(optionValue("threshold"));
+      if (!Number.isFinite(threshold) || threshold < 0 || threshold > 100) {
+        return reply({
+          content: "⚠️ Threshold must be between 0 and 100 points.",
+        });
+      }
+      portfolio.driftThreshold = threshold === 0 ? null : threshold;
+      portfolio.driftAlerted = false;
+      if (!(await updatePortfolio(userId, portfolio))) {
+        throw new Error("Failed to save portfolio.");
+      }
+      return reply({
+        content:
+          threshold === 0
+            ? "🔕 Drift alerts turned off."
+            : `🔔 You will be pinged when any ticker drifts more than ${threshold} pts.`,
+      });
+    }
+
+    // show
+    if (Object.keys(portfolio.holdings).length === 0) {
+      return reply({
+        content: "You have no holdings yet. Add some with `/portfolio set`.",
+      });
+    }
+    return reply({ embeds: [await buildPortfolioEmbed(portfolio)] });
+  } catch (error) {
+    console.error("[ERROR] /portfolio:", error);
+    return res.status(500).json({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: { content: "⚠️ Error processing /portfolio.", flags: 64 },
+    });
+  }
+}
+
+module.exports = {
+  definition,
+  execute,
+};
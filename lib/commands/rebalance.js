@@ -0,0 +1,156 @@
+// /rebalance - DEFER (ephemeral), quotes and attachment are sent by patch
+"use strict";
+
+const { InteractionResponseType } = require("discord-interactions");
+const {
+  REBALANCE_TICKERS,
+  computeRebalance,
+  tradesToCsv,
+  formatTradeTable,
+} = require("../rebalance");
+const { getProvider } = require("../providers");
+const { formatAllocation } = require("../allocation");
+const { editOriginalResponse } = require("../discord");
+const { readPortfolio } = require("../../storage");
+const { logDebug } = require("../log");
+const { currentRecommendedAllocation } = require("./shared");
+
+const definition = {
+  name: "rebalance",
+  description: "Work out the trades to reach the recommended allocation.",
+  options: [
+    {
+      name: "account_value",
+      type: 10, // NUMBER type
+      description: "Account value in dollars (uses your /portfolio if omitted)",
+      required: false,
+      min_value: 1,
+    },
+    {
+      name: "csv",
+      type: 5, // BOOLEAN type
+      description: "Attach the orders as a CSV for broker import",
+      required: false,
+    },
+  ],
+};
+
+async function execute(interaction, res) {
+  const { application_id, token } = interaction;
+  try {
+    logDebug("Handling /rebalance command (deferral)");
+    res.status(200).json({
+      type: 5, // DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE
+      data: { flags: 64 },
+    });
+
+    (async () => {
+      const userId = interaction.member?.user?.id || interaction.user?.id;
+      const options = interaction.data.options || [];
+      const accountValue = options.find((o) => o.name === "account_value")?.value;
+      const wantCsv = options.find((o) => o.name === "csv")?.value === true;
+      let payload;
+      let files = [];
+      try {
+        const holdings = accountValue
+          ? {}
+          : (await readPortfolio(userId)).holdings;
+        if (!accountValue && Object.keys(holdings).length === 0) {
+          throw new Error(
+            "Give an account_value or save holdings with `/portfolio set` first."
+          );
+        }
+
+        const allocation = await currentRecommendedAllocation();
+        const provider = getProvider();
+        const tickers = [
+          ...new Set([...REBALANCE_TICKERS, ...Object.keys(holdings)]),
+        ];
+        const quotes = await Promise.all(
+          tickers.map((t) => provider.getQuote(t))
+        );
+        const prices = {};
+        tickers.forEach((t, i) => {
+          prices[t] = quotes[i].price;
+        });
+        const total =
+          accountValue ||
+          Object.keys(holdings).reduce(
+            (sum, t) => sum + holdings[t] * prices[t],
+            0
+          );
+
+        const plan = computeRebalance({
+          total,
+          holdings,
+          prices,
+          targetWeights: allocation.weights,
+        });
+
+        payload = {
+          embeds: [
+            {
+              title: `Rebalance to ${formatAllocation(allocation)}`,
+              color: 3447003,
+              description: "```\n" + formatTradeTable(plan.trades) + "\n```",
+              fields: [
+                {
+                  name: accountValue ? "Account Value" : "Portfolio Value",
+                  value: `$${plan.total.toFixed(2)}`,
+                  inline: true,
+                },
+                {
+                  name: "Invested After Trades",
+                  value: `$${plan.invested.toFixed(2)}`,
+                  inline: true,
+                },
+                {
+                  name: "Cash Left Over",
+                  value: `$${plan.cash.toFixed(2)}`,
+                  inline: true,
+                },
+              ],
+              footer: {
+                text: wantCsv
+                  ? "Whole shares at current prices | orders attached as CSV"
+                  : "Whole shares at current prices | add csv:True for a broker CSV",
+              },
+              timestamp: new Date().toISOString(),
+            },
+          ],
+        };
+        if (wantCsv) {
+          files = [
+            {
+              name: "rebalance.csv",
+              data: tradesToCsv(plan.trades),
+              contentType: "text/csv",
+            },
+          ];
+        }
+      } catch (err) {
+        console.error("[ERROR] /rebalance failed:", err);
+        payload = { content: `⚠️ Rebalance failed: ${err.message}` };
+      }
+
+      try {
+        await editOriginalResponse(application_id, token, payload, files);
+      } catch (err) {
+        console.error("[ERROR] /rebalance patch failed:", err);
+      }
+    })();
+
+    return;
+  } catch (error) {
+    console.error("[ERROR] /rebalance deferral setup:", error);
+    return res.status(500).json({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: { content: "⚠️ Unexpected error while deferring /rebalance.", flags: 64 },
+    });
+  }
+}
+
+module.exports = {
+  definition,
+  execute,
+};
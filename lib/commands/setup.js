@@ -0,0 +1,122 @@
+// /setup - per-guild alert destination, replies are ephemeral
+"use strict";
+
+const { InteractionResponseType } = require("discord-interactions");
+const { WEBHOOK_URL_RE } = require("../alerts");
+const { ADMIN_DEFAULT_PERMISSIONS } = require("../permissions");
+const {
+  readAlertDestination,
+  updateAlertDestination,
+  listNotifyUsers,
+} = require("../../storage");
+const { logDebug } = require("../log");
+
+const definition = {
+  name: "setup",
+  description: "Configure where this server receives allocation alerts.",
+  default_member_permissions: ADMIN_DEFAULT_PERMISSIONS,
+  dm_permission: false,
+  options: [
+    {
+      name: "alerts",
+      type: 1, // SUB_COMMAND type
+      description: "Post alerts for this server in a channel.",
+      options: [
+        {
+          name: "channel",
+          type: 7, // CHANNEL type
+          description: "Channel that receives alerts",
+          required: true,
+          channel_types: [0, 5], // text and announcement channels
+        },
+        {
+          name: "webhook",
+          type: 3, // STRING type
+          description: "Webhook URL for that channel (otherwise the bot posts itself)",
+          required: false,
+        },
+      ],
+    },
+    {
+      name: "show",
+      type: 1, // SUB_COMMAND type
+      description: "Show this server's alert channel and delivery status.",
+    },
+    {
+      name: "clear",
+      type: 1, // SUB_COMMAND type
+      description: "Stop posting alerts in this server.",
+    },
+  ],
+};
+
+async function execute(interaction, res) {
+  try {
+    logDebug("Handling /setup command");
+    const guildId = interaction.guild_id;
+    const sub = interaction.data.options?.[0];
+    const reply = (content) =>
+      res.status(200).json({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: { content, flags: 64 },
+      });
+    if (!guildId) {
+      return reply("⚠️ /setup can only be used in a server.");
+    }
+
+    if (sub?.name === "alerts") {
+      const channelId = sub.options.find((o) => o.name === "channel").value;
+      const webhookUrl = sub.options.find((o) => o.name === "webhook")?.value?.trim() || null;
+      if (webhookUrl && !WEBHOOK_URL_RE.test(webhookUrl)) {
+        return reply("⚠️ That is not a Discord webhook URL.");
+      }
+      const saved = await updateAlertDestination(guildId, {
+        channelId,
+        webhookUrl,
+        lastError: null,
+      });
+      return reply(
+        saved
+          ? `✅ Alerts for this server will be posted in <#${channelId}> ` +
+              `${webhookUrl ? "through the webhook" : "by the bot"}. ` +
+              "Members subscribe with the buttons on those alerts or /notify."
+          : "⚠️ Failed to save the alert channel."
+      );
+    }
+
+    if (sub?.name === "clear") {
+      const cleared = await updateAlertDestination(guildId, null);
+      return reply(
+        cleared
+          ? "✅ Alerts will no longer be posted in this server."
+          : "⚠️ Failed to clear the alert channel."
+      );
+    }
+
+    // show
+    const destination = await readAlertDestination(guildId);
+    if (!destination) {
+      return reply("No alert channel is set for this server. Use `/setup alerts` to add one.");
+    }
+    const status = destination.lastError
+      ? `⚠️ Last delivery failed at ${destination.lastError.at}: ${destination.lastError.message}`
+      : "✅ No delivery failures recorded.";
+    const subscribers = await listNotifyUsers(guildId);
+    return reply(
+      `Alerts go to <#${destination.channelId}> ` +
+        `${destination.webhookUrl ? "through a webhook" : "by the bot"}, ` +
+        `${subscribers.length} subscriber(s).\n${status}`
+    );
+  } catch (error) {
+    console.error("[ERROR] /setup:", error);
+    return res.status(500).json({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: { content: "⚠️ Error processing /setup.", flags: 64 },
+    });
+  }
+}
+
+module.exports = {
+  definition,
+  execute,
+};
@@ -0,0 +1,31 @@
+// Helpers shared by several command modules
+"use strict";
+
+const {
+  fetchCheckFinancialData,
+  describeDataProblems,
+  determineRecommendationWithBands,
+} = require("../financial");
+const { readAllocation, readFactorState } = require("../../storage");
+
+// Axis label for chart prices: cents below $1000, whole dollars above
+function formatChartPrice(value) {
+  return `$${Math.abs(value) >= 1000 ? value.toFixed(0) : value.toFixed(2)}`;
+}
+
+// Helper to get the current recommended allocation, preferring the stored one
+async function currentRecommendedAllocation() {
+  const stored = await readAllocation();
+  if (stored) return stored;
+  const data = await fetchCheckFinancialData();
+  if (!data.dataQuality.ok) {
+    throw new Error(`Market data unavailable:\n${describeDataProblems(data.dataQuality)}`);
+  }
+  return determineRecommendationWithBands(data, await readFactorState())
+    .recommendedAllocation;
+}
+
+module.exports = {
+  formatChartPrice,
+  currentRecommendedAllocation,
+};
@@ -0,0 +1,54 @@
+// Subscribe buttons attached to /check and to the alerts (see
+// SUBSCRIBE_COMPONENTS in allocationCron.js); replies are ephemeral
+"use strict";
+
+const { InteractionResponseType } = require("discord-interactions");
+const { destinationFor } = require("../alerts");
+const {
+  toggleSubscriber,
+  toggleWarningSubscriber,
+  removeSubscriber,
+} = require("../../storage");
+
+function reply(res, content) {
+  return res.status(200).json({
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: { content, flags: 64 },
+  });
+}
+
+async function subscribeAllocation(interaction, res) {
+  const uid = interaction.member?.user?.id || interaction.user?.id;
+  const added = await toggleSubscriber(uid, await destinationFor(interaction.guild_id));
+  return reply(
+    res,
+    added
+      ? "You will be notified on allocation changes."
+      : "You will no longer receive allocation pings."
+  );
+}
+
+async function subscribeWarnings(interaction, res) {
+  const uid = interaction.member?.user?.id || interaction.user?.id;
+  const added = await toggleWarningSubscriber(uid, await destinationFor(interaction.guild_id));
+  return reply(
+    res,
+    added
+      ? "You will be warned when a factor enters its rebalancing band."
+      : "You will no longer receive early warnings."
+  );
+}
+
+async function unsubscribe(interaction, res) {
+  const uid = interaction.member?.user?.id || interaction.user?.id;
+  await removeSubscriber(uid, await destinationFor(interaction.guild_id));
+  return reply(res, "You will no longer receive allocation or warning pings.");
+}
+
+const components = {
+  subscribe_alloc: subscribeAllocation,
+  subscribe_warn: subscribeWarnings,
+  unsubscribe_alloc: unsubscribe,
+};
+
+module.exports = { components };
@@ -0,0 +1,57 @@
+// /test - run allocation change check
+"use strict";
+
+const { InteractionResponseType } = require("discord-interactions");
+const { checkAllocation } = require("../../allocationCron");
+const { formatAllocation } = require("../allocation");
+const { ADMIN_DEFAULT_PERMISSIONS } = require("../permissions");
+
+const definition = {
+  name: "test",
+  description: "Run allocation change check.",
+  default_member_permissions: ADMIN_DEFAULT_PERMISSIONS,
+  dm_permission: false,
+};
+
+// Why checkAllocation did not run, see its { skipped } results
+function describeSkipped({ skipped, session, problems }) {
+  if (skipped === "closed") {
+    const holiday = session.holiday ? ` (${session.holiday})` : "";
+    return `📅 The market is closed today${holiday}, no check was run.`;
+  }
+  if (skipped === "unavailable") {
+    const lines = problems.map((problem) => `• ${problem.message}`);
+    return ["⚠️ Market data is unavailable, the allocation was left unchanged.", ...lines].join("\n");
+  }
+  return "⏳ Another allocation check is running, try again in a minute.";
+}
+
+async function execute(interaction, res) {
+  try {
+    const result = await checkAllocation(true, 'Test Command');
+    if (result.skipped) {
+      return res.status(200).json({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: { content: describeSkipped(result), flags: 64 },
+      });
+    }
+    const msg = result.changed
+      ? `Allocation changed to: ${formatAllocation(result.current)}`
+      : `No change in allocation: ${formatAllocation(result.current)}`;
+    return res.status(200).json({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: { content: msg },
+    });
+  } catch (err) {
+    console.error("/test error", err);
+    return res.status(500).json({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: { content: "⚠️ Test failed." },
+    });
+  }
+}
+
+module.exports = {
+  definition,
+  execute,
+};
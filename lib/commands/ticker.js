@@ -0,0 +1,259 @@
+// /ticker - DEFER so it works on Vercel (async + patch)
+"use strict";
+
+const { InteractionResponseType } = require("discord-interactions");
+const { RANGE_OPTIONS, fetchTickerFinancialData } = require("../ticker");
+const { editOriginalResponse } = require("../discord");
+const { renderLineChart } = require("../chart");
+const { parseIndicators, computeIndicators } = require("../indicators");
+const { suggestSymbols, toChoice } = require("../symbols");
+const { readRecentTickers, recordRecentTickers } = require("../../storage");
+const { logDebug } = require("../log");
+const { formatChartPrice } = require("./shared");
+
+// Shared with /compare
+const TIMEFRAME_CHOICES = [
+  { name: "1 Day", value: "1d" },
+  { name: "1 Month", value: "1mo" },
+  { name: "1 Year", value: "1y" },
+  { name: "3 Years", value: "3y" },
+  { name: "10 Years", value: "10y" },
+];
+
+const definition = {
+  name: "ticker",
+  description: "Fetch and display financial data for a specific ticker and timeframe.",
+  options: [
+    {
+      name: "symbol",
+      type: 3, // STRING type
+      description: "The stock ticker symbol (e.g., AAPL, GOOGL)",
+      required: true,
+      autocomplete: true,
+    },
+    {
+      name: "timeframe",
+      type: 3, // STRING type
+      description: "The timeframe for the chart (1d, 1mo, 1y, 3y, 10y)",
+      required: true,
+      choices: TIMEFRAME_CHOICES,
+    },
+    {
+      name: "indicators",
+      type: 3, // STRING type
+      description: "Indicators to draw, e.g. sma50, ema20, bb, rsi, vol",
+      required: false,
+    },
+  ],
+};
+
+const INDICATOR_COLORS = ["#ff6600", "#2ca02c", "#9467bd", "#d62728", "#8c564b", "#e377c2"];
+
+// Helper to draw a /ticker chart with its price overlays and RSI/volatility panels
+function renderTickerChart(tickerData, timeframe, indicators) {
+  const overlays = [];
+  const panels = {};
+  indicators.forEach((indicator, i) => {
+    const color = INDICATOR_COLORS[i % INDICATOR_COLORS.length];
+    // Bollinger lines are upper, middle, lower; the middle one is dashed
+    const lines = indicator.lines.map((line, j) => ({
+      ...line,
+      color,
+      width: indicator.type === "bb" ? 1 : 1.5,
+      dashed: indicator.type === "bb" && j === 1,
+    }));
+    if (indicator.overlay) {
+      overlays.push(...lines);
+    } else {
+      panels[indicator.type] = panels[indicator.type] || [];
+      panels[indicator.type].push(...lines);
+    }
+  });
+
+  return renderLineChart({
+    title: `${tickerData.ticker} · ${timeframe.toUpperCase()}`,
+    labels: tickerData.historicalData.map((entry) => entry.date),
+    series: [
+      {
+        label: `${tickerData.ticker} Price`,
+        values: tickerData.historicalData.map((entry) => parseFloat(entry.price)),
+        color: "#0070f3",
+      },
+      ...overlays,
+    ],
+    yFormat: formatChartPrice,
+    panels: [
+      panels.rsi && {
+        title: panels.rsi.map((line) => line.label).join(", "),
+        series: panels.rsi,
+        min: 0,
+        max: 100,
+        guides: [30, 70],
+        yFormat: (v) => v.toFixed(0),
+      },
+      panels.vol && {
+        title: `${panels.vol.map((line) => line.label).join(", ")} · annualized`,
+        series: panels.vol,
+        min: 0,
+        yFormat: (v) => `${v.toFixed(0)}%`,
+      },
+    ].filter(Boolean),
+  });
+}
+
+// Helper to list the latest indicator values as an embed field value
+function formatIndicatorValues(indicators) {
+  return indicators
+    .map((indicator) => {
+      const value = indicator.latest;
+      if (value == null) return `${indicator.label}: not enough history`;
+      if (indicator.type === "bb") {
+        return `${indicator.label}: ${formatChartPrice(value.lower)} – ${formatChartPrice(value.upper)} (mid ${formatChartPrice(value.middle)})`;
+      }
+      if (indicator.type === "rsi") return `${indicator.label}: ${value.toFixed(1)}`;
+      if (indicator.type === "vol") return `${indicator.label}: ${value.toFixed(1)}%`;
+      return `${indicator.label}: ${formatChartPrice(value)}`;
+    })
+    .join("\n");
+}
+
+async function execute(interaction, res) {
+  const { application_id, token } = interaction;
+  try {
+    logDebug("Handling /ticker command (deferral)");
+
+    const indicatorsOption = (interaction.data.options || []).find(
+      (option) => option.name === "indicators"
+    );
+    let indicatorSpecs;
+    try {
+      indicatorSpecs = parseIndicators(indicatorsOption && indicatorsOption.value);
+    } catch (err) {
+      return res.status(200).json({
+        type: 4,
+        data: { content: `❌ ${err.message}`, flags: 64 },
+      });
+    }
+
+    // 1) Defer immediately
+    res.status(200).json({
+      type: 5, // DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE
+      data: {
+        content: "Hang on, fetching data…",
+      },
+    });
+
+    // 2) Async fetch & respond
+    (async () => {
+      try {
+        // Extract user options
+        const options = interaction.data.options || [];
+        const tickerOption = options.find(
+          (option) => option.name === "symbol"
+        );
+        const timeframeOption = options.find(
+          (option) => option.name === "timeframe"
+        );
+        const ticker = tickerOption
+          ? tickerOption.value.toUpperCase()
+          : null;
+        const timeframe = timeframeOption
+          ? timeframeOption.value
+          : "1d";
+        if (!ticker) {
+          throw new Error("Ticker symbol is required.");
+        }
+
+        // Do the actual fetch
+        const tickerData = await fetchTickerFinancialData(
+          ticker,
+          timeframe
+        );
+        await recordRecentTickers([tickerData.ticker]);
+
+        const indicators = computeIndicators(
+          tickerData.historicalData.map((entry) => parseFloat(entry.price)),
+          indicatorSpecs,
+          RANGE_OPTIONS[tickerData.selectedRange.toLowerCase()].periodsPerYear
+        );
+
+        // Render the chart ourselves and attach it as a PNG
+        const chartPng = renderTickerChart(tickerData, timeframe, indicators);
+
+        // Build final embed
+        const embed = {
+          title: `${tickerData.ticker} Financial Data`,
+          color: 3447003, // Blue
+          fields: [
+            {
+              name: "Current Price",
+              value: tickerData.currentPrice,
+              inline: true,
+            },
+            {
+              name: "Timeframe",
+              value: timeframe.toUpperCase(),
+              inline: true,
+            },
+            {
+              name: "Selected Range",
+              value: tickerData.selectedRange.toUpperCase(),
+              inline: true,
+            },
+            { name: "Data Source", value: tickerData.source, inline: true },
+            ...(indicators.length
+              ? [{ name: "Indicators", value: formatIndicatorValues(indicators) }]
+              : []),
+          ],
+          image: { url: "attachment://chart.png" },
+          footer: { text: `Data fetched from ${tickerData.source}` },
+          timestamp: new Date().toISOString(),
+        };
+
+        // 3) PATCH original response to show final
+        await editOriginalResponse(application_id, token, { embeds: [embed] }, [
+          { name: "chart.png", data: chartPng, contentType: "image/png" },
+        ]);
+      } catch (err) {
+        console.error("[ERROR] Ticker fetch or patch failed:", err);
+        // Attempt to patch error interaction
+        try {
+          await editOriginalResponse(application_id, token, {
+            content:
+              "⚠️ Unable to retrieve financial data. Check the ticker and try again.",
+          });
+        } catch (patchErr) {
+          console.error("[ERROR] /ticker error patch failed:", patchErr);
+        }
+      }
+    })();
+
+    // We already deferred, so just return
+    return;
+  } catch (error) {
+    console.error("[ERROR] /ticker deferral setup:", error);
+    // If something happened before deferral, do immediate error
+    return res.status(500).json({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content:
+          "⚠️ Unexpected error while deferring /ticker. Check logs.",
+      },
+    });
+  }
+}
+
+// Suggestions for the `symbol` option, recently used tickers first
+async function autocomplete(interaction) {
+  const focused = (interaction.data.options || []).find((option) => option.focused);
+  if (!focused || focused.name !== "symbol") return [];
+  const recent = await readRecentTickers();
+  return suggestSymbols(focused.value, recent).map(toChoice);
+}
+
+module.exports = {
+  definition,
+  execute,
+  autocomplete,
+  TIMEFRAME_CHOICES,
+};
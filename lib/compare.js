@@ -0,0 +1,92 @@
+// Multi-symbol performance comparison for /compare
+const { RANGE_OPTIONS } = require('./ticker');
+const { annualizedVolatility, totalReturn, maxDrawdown } = require('./indicators');
+
+const MAX_SYMBOLS = 5;
+const COMPARE_COLORS = ['#0070f3', '#ff6600', '#2ca02c', '#d62728', '#9467bd'];
+
+/**
+ * Splits a comma- or space-separated symbol list into unique upper-case
+ * symbols. Throws with a user-facing message when there are none or more
+ * than MAX_SYMBOLS.
+ */
+function parseSymbols(input) {
+  const symbols = [
+    ...new Set(
+      String(input || '')
+        .split(/[\s,]+/)
+        .map((s) => s.trim().toUpperCase())
+        .filter(Boolean)
+    ),
+  ];
+  if (symbols.length === 0) {
+    throw new Error('Give at least one symbol, e.g. `UPRO, SSO, SPY`.');
+  }
+  if (symbols.length > MAX_SYMBOLS) {
+    throw new Error(`Compare at most ${MAX_SYMBOLS} symbols at a time.`);
+  }
+  return symbols;
+}
+
+function stats(values, periodsPerYear) {
+  return {
+    totalReturn: totalReturn(values),
+    volatility: annualizedVolatility(values, periodsPerYear),
+    maxDrawdown: maxDrawdown(values),
+  };
+}
+
+/**
+ * Lines up fetchTickerFinancialData results on the dates they share and
+ * rebases each to 100 at the first shared date. Returns the shared labels and
+ * one row per symbol: { ticker, values, totalReturn, volatility, maxDrawdown }.
+ */
+function compareSeries(results, timeframe) {
+  const priceMaps = results.map(
+    (r) => new Map(r.historicalData.map((entry) => [entry.date, parseFloat(entry.price)]))
+  );
+  const labels = results[0].historicalData
+    .map((entry) => entry.date)
+    .filter((date) => priceMaps.every((m) => Number.isFinite(m.get(date))));
+  if (labels.length < 2) {
+    throw new Error('Not enough overlapping price history to compare these symbols.');
+  }
+
+  const periodsPerYear = (RANGE_OPTIONS[timeframe] || RANGE_OPTIONS['1y']).periodsPerYear;
+  return {
+    labels,
+    rows: results.map((r, i) => {
+      const prices = labels.map((date) => priceMaps[i].get(date));
+      return {
+        ticker: r.ticker,
+        values: prices.map((p) => (p / prices[0]) * 100),
+        ...stats(prices, periodsPerYear),
+      };
+    }),
+  };
+}
+
+function pct(value, signed = false) {
+  const text = `${(value * 100).toFixed(1)}%`;
+  return signed && value >= 0 ? `+${text}` : text;
+}
+
+// Fixed-width table for a code block in the embed
+function formatCompareTable(rows) {
+  const width = Math.max(6, ...rows.map((r) => r.ticker.length));
+  const header = `${'Symbol'.padEnd(width)}  ${'Return'.padStart(8)}  ${'Vol'.padStart(7)}  ${'Max DD'.padStart(7)}`;
+  const lines = rows.map(
+    (r) =>
+      `${r.ticker.padEnd(width)}  ${pct(r.totalReturn, true).padStart(8)}  ` +
+      `${pct(r.volatility).padStart(7)}  ${pct(r.maxDrawdown).padStart(7)}`
+  );
+  return ['```', header, ...lines, '```'].join('\n');
+}
+
+module.exports = {
+  MAX_SYMBOLS,
+  COMPARE_COLORS,
+  parseSymbols,
+  compareSeries,
+  formatCompareTable,
+};
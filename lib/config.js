@@ -0,0 +1,86 @@
+// Strategy parameters: defaults, validation and display
+
+// Treasury change below which the strict MFEA counts rates as falling. It is
+// the upper edge of the treasury band, so treasuryThresh may not exceed it.
+const TREASURY_MFEA_THRESH = -0.0001;
+
+const DEFAULT_PARAMS = {
+  smaBandPct: 0.02,
+  volBand: 1.0,
+  volLow: 14,
+  volHigh: 24,
+  treasuryThresh: -0.001,
+  smaLength: 220,
+  treasuryLookback: 21,
+};
+
+// Allowed range per parameter; `integer` parameters are day counts
+const PARAM_SPECS = {
+  smaBandPct: { min: 0, max: 0.2, label: 'SMA band (fraction, 0.02 = ±2%)' },
+  volBand: { min: 0, max: 10, label: 'Volatility band (points)' },
+  volLow: { min: 1, max: 100, label: 'Low volatility threshold (%)' },
+  volHigh: { min: 1, max: 100, label: 'High volatility threshold (%)' },
+  treasuryThresh: { min: -1, max: TREASURY_MFEA_THRESH, label: 'Treasury change threshold (^IRX points)' },
+  smaLength: { min: 20, max: 400, integer: true, label: 'SMA length (days)' },
+  treasuryLookback: { min: 1, max: 120, integer: true, label: 'Treasury lookback (days)' },
+};
+
+/**
+ * Checks a single parameter value and returns it as a number. Throws with a
+ * user-facing message when the key is unknown or the value out of range.
+ */
+function validateParam(key, value) {
+  const spec = PARAM_SPECS[key];
+  if (!spec) {
+    throw new Error(`Unknown parameter: ${key}`);
+  }
+  const num = typeof value === 'number' ? value : parseFloat(value);
+  if (!Number.isFinite(num)) {
+    throw new Error(`${key} must be a number.`);
+  }
+  if (spec.integer && !Number.isInteger(num)) {
+    throw new Error(`${key} must be a whole number.`);
+  }
+  if (num < spec.min || num > spec.max) {
+    throw new Error(`${key} must be between ${spec.min} and ${spec.max}.`);
+  }
+  return num;
+}
+
+/**
+ * Merges stored overrides onto the defaults. Invalid or unknown entries are
+ * dropped so a bad stored value never breaks the analysis.
+ */
+function resolveParams(overrides) {
+  const params = { ...DEFAULT_PARAMS };
+  Object.keys(overrides || {}).forEach((key) => {
+    try {
+      params[key] = validateParam(key, overrides[key]);
+    } catch (err) {
+      console.error('[config] ignoring', key, err.message);
+    }
+  });
+  if (params.volLow >= params.volHigh) {
+    params.volLow = DEFAULT_PARAMS.volLow;
+    params.volHigh = DEFAULT_PARAMS.volHigh;
+  }
+  return params;
+}
+
+function formatParams(params) {
+  const p = params || DEFAULT_PARAMS;
+  return (
+    `SMA ${p.smaLength}d ±${+(p.smaBandPct * 100).toFixed(2)}% | ` +
+    `Vol ${p.volLow}/${p.volHigh} ±${p.volBand} | ` +
+    `Treas <${p.treasuryThresh} over ${p.treasuryLookback}d`
+  );
+}
+
+module.exports = {
+  TREASURY_MFEA_THRESH,
+  DEFAULT_PARAMS,
+  PARAM_SPECS,
+  validateParam,
+  resolveParams,
+  formatParams,
+};
@@ -0,0 +1,114 @@
+// Discord REST helpers for deferred interaction responses, channel posts and DMs
+const axios = require('axios');
+
+const API_BASE = 'https://discord.com/api/v10';
+
+// Multipart body with the JSON payload in `payload_json` and each file as files[i]
+function buildForm(payload, files) {
+  const form = new FormData();
+  form.append('payload_json', JSON.stringify(payload));
+  files.forEach((file, i) => {
+    form.append(`files[${i}]`, new Blob([file.data], { type: file.contentType }), file.name);
+  });
+  return form;
+}
+
+function attachmentsFor(files) {
+  return files.map((file, i) => ({ id: i, filename: file.name }));
+}
+
+/**
+ * Edits the original (deferred) interaction response. `files` is a list of
+ * { name, data, contentType } attachments; when present the request is sent
+ * as multipart/form-data with the payload in `payload_json`.
+ */
+async function editOriginalResponse(applicationId, token, payload, files = []) {
+  if (!process.env.BOT_TOKEN) {
+    console.error('BOT_TOKEN not set: cannot edit deferred message.');
+    return;
+  }
+  const url = `${API_BASE}/webhooks/${applicationId}/${token}/messages/@original`;
+  const headers = { Authorization: `Bot ${process.env.BOT_TOKEN}` };
+
+  if (files.length === 0) {
+    await axios.patch(url, payload, {
+      headers: { ...headers, 'Content-Type': 'application/json' },
+    });
+    return;
+  }
+
+  const form = buildForm({ ...payload, attachments: attachmentsFor(files) }, files);
+  await axios.patch(url, form, { headers });
+}
+
+/**
+ * Answers an interaction directly with attachments, as a multipart body.
+ * `response` is the usual { type, data }; embeds can show an attached image
+ * through `attachment://<name>`.
+ */
+async function respondWithFiles(res, response, files) {
+  if (files.length === 0) return res.status(200).json(response);
+  const form = buildForm(
+    { ...response, data: { ...response.data, attachments: attachmentsFor(files) } },
+    files
+  );
+  // Let the fetch Response encode the form to get the body and boundary
+  const encoded = new Response(form);
+  res.setHeader('Content-Type', encoded.headers.get('content-type'));
+  return res.status(200).send(Buffer.from(await encoded.arrayBuffer()));
+}
+
+/**
+ * Sends a direct message from the bot. Opens (or reuses) the DM channel with
+ * the user first; fails when the user does not accept DMs from the bot.
+ */
+async function sendDirectMessage(userId, payload) {
+  if (!process.env.BOT_TOKEN) {
+    console.error('BOT_TOKEN not set: cannot send direct message.');
+    return;
+  }
+  const headers = {
+    Authorization: `Bot ${process.env.BOT_TOKEN}`,
+    'Content-Type': 'application/json',
+  };
+  const channel = await axios.post(
+    `${API_BASE}/users/@me/channels`,
+    { recipient_id: userId },
+    { headers }
+  );
+  await axios.post(`${API_BASE}/channels/${channel.data.id}/messages`, payload, {
+    headers,
+  });
+}
+
+function botHeaders() {
+  if (!process.env.BOT_TOKEN) {
+    throw new Error('BOT_TOKEN not set: cannot post to channels.');
+  }
+  return {
+    Authorization: `Bot ${process.env.BOT_TOKEN}`,
+    'Content-Type': 'application/json',
+  };
+}
+
+// Posts a message to a channel as the bot and returns the created message
+async function postChannelMessage(channelId, payload) {
+  const res = await axios.post(`${API_BASE}/channels/${channelId}/messages`, payload, {
+    headers: botHeaders(),
+  });
+  return res.data;
+}
+
+async function editChannelMessage(channelId, messageId, payload) {
+  await axios.patch(`${API_BASE}/channels/${channelId}/messages/${messageId}`, payload, {
+    headers: botHeaders(),
+  });
+}
+
+module.exports = {
+  editOriginalResponse,
+  respondWithFiles,
+  sendDirectMessage,
+  postChannelMessage,
+  editChannelMessage,
+};
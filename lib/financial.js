@@ -1,131 +1,379 @@
 // Shared financial logic
-const axios = require('axios');
+const { TREASURY_MFEA_THRESH, DEFAULT_PARAMS, resolveParams } = require('./config');
+const { getProvider } = require('./providers');
+const { allocationFor } = require('./allocation');
+const { sma, realizedVolatility, latest } = require('./indicators');
+const { validateSeries, validateSignals } = require('./validation');
 
-function logDebug(msg) {
-  console.debug('[DEBUG]', msg);
+const VOL_WINDOW = 21;
+
+// SMA of the last `length` closes, or of all of them when fewer are given
+function computeSma(prices, length = DEFAULT_PARAMS.smaLength) {
+  const window = prices.slice(-length);
+  return latest(sma(window, window.length));
+}
+
+// Annualized volatility (in %) of the last `window` daily returns
+function computeAnnualizedVolatility(prices, window = VOL_WINDOW) {
+  const slice = prices.slice(-(window + 1));
+  return latest(realizedVolatility(slice, slice.length - 1, 252));
+}
+
+function computeTreasuryChange(rates, lookback = DEFAULT_PARAMS.treasuryLookback) {
+  const idx = rates.length - 1;
+  const back = idx - lookback;
+  const current = rates[idx];
+  const previous = rates[back < 0 ? 0 : back];
+  return { current, change: current - previous };
+}
+
+/**
+ * Builds the MFEA inputs from raw series. `spyPrices` must be ordered oldest
+ * first and hold at least `params.smaLength` closes; `rates` is the ^IRX close
+ * series. The SMA keeps the `sma220` field name whatever its length.
+ */
+function computeSignalData(spyPrices, rates, params = DEFAULT_PARAMS) {
+  const last = spyPrices[spyPrices.length - 1];
+  const sma220 = computeSma(spyPrices, params.smaLength);
+  const annVol = computeAnnualizedVolatility(spyPrices);
+  const { current: currT, change: delta } = computeTreasuryChange(rates, params.treasuryLookback);
+
+  return {
+    spy: last.toFixed(2),
+    sma220: sma220.toFixed(2),
+    smaLength: params.smaLength,
+    spyStatus: last > sma220 ? 'Over' : 'Under',
+    volatility: annVol.toFixed(2),
+    treasuryRate: currT.toFixed(3),
+    treasuryRateChange: delta.toFixed(4),
+    isTreasuryFalling: delta < TREASURY_MFEA_THRESH,
+  };
 }
 
 function calculateAllocationLogic(isSpyAboveSma, isVolBelow14, isVolBelow24, isTreasuryFalling) {
+  const pick = (category) => ({ category, allocation: allocationFor(category) });
   if (isSpyAboveSma) {
     if (isVolBelow14) {
-      return { category: 'Risk On', allocation: '100% UPRO…' };
+      return pick('Risk On');
     }
     if (isVolBelow24) {
-      return { category: 'Risk Mid', allocation: '100% SSO…' };
+      return pick('Risk Mid');
     }
-    return isTreasuryFalling
-      ? { category: 'Risk Alt', allocation: '25% UPRO + 75% ZROZ' }
-      : { category: 'Risk Off', allocation: '100% SPY' };
+    return isTreasuryFalling ? pick('Risk Alt') : pick('Risk Off');
   }
-  return isTreasuryFalling
-    ? { category: 'Risk Alt', allocation: '25% UPRO + 75% ZROZ' }
-    : { category: 'Risk Off', allocation: '100% SPY' };
+  return isTreasuryFalling ? pick('Risk Alt') : pick('Risk Off');
 }
 
-function determineRiskCategory(data) {
+function determineRiskCategory(data, params = DEFAULT_PARAMS) {
   const spy = parseFloat(data.spy);
   const sma = parseFloat(data.sma220);
   const vol = parseFloat(data.volatility);
   const tfalling = data.isTreasuryFalling;
-  return calculateAllocationLogic(spy > sma, vol < 14, vol < 24, tfalling);
+  return calculateAllocationLogic(spy > sma, vol < params.volLow, vol < params.volHigh, tfalling);
+}
+
+/**
+ * Resolves one factor against its band. Outside the band the factor takes the
+ * side it is on; inside it keeps `previous` (hysteresis) when one is known and
+ * otherwise falls back to `raw`.
+ */
+function resolveBandedFactor(value, lower, upper, belowState, previous, raw) {
+  if (value < lower) return { state: belowState, held: false };
+  if (value > upper) return { state: !belowState, held: false };
+  if (typeof previous === 'boolean') return { state: previous, held: true };
+  return { state: raw, held: false };
+}
+
+function round(value, digits) {
+  return +value.toFixed(digits);
 }
 
-function determineRecommendationWithBands(data) {
+/**
+ * Where one factor stands against its threshold and band. Distances are in
+ * percent: relative to the SMA for SPY (`relative`), and in points for
+ * volatility and the treasury change, which are percentages already.
+ * `moveToEdge` is how far the value must move to enter the band from outside,
+ * or to cross the far edge and flip the factor from inside.
+ */
+function explainFactor({ name, unit, digits, relative, value, threshold, lower, upper, belowState, state, held, labels }) {
+  const inBand = value >= lower && value <= upper;
+  const distance = relative ? (value / threshold - 1) * 100 : value - threshold;
+  // Inside the band the edge that flips the factor is the one away from its current side
+  const onBelowSide = inBand ? state === belowState : value < lower;
+  const edge = inBand ? (onBelowSide ? upper : lower) : onBelowSide ? lower : upper;
+  const direction = edge > value ? 'rise' : 'drop';
+  const move = relative ? (Math.abs(edge - value) / value) * 100 : Math.abs(edge - value);
+
+  const amount = (v) => (relative ? `${v.toFixed(digits)}%` : `${v.toFixed(digits)} ${unit}`);
+  const side = distance >= 0 ? labels.above : labels.below;
+  let text = `${name} is ${amount(Math.abs(distance))} ${side}`;
+  text += inBand
+    ? `, inside the band; a ${amount(move)} ${direction} crosses the ${direction === 'rise' ? 'upper' : 'lower'} edge`
+    : `; a ${amount(move)} ${direction} enters the band`;
+
+  return {
+    value: round(value, 4),
+    threshold: round(threshold, 4),
+    lower: round(lower, 4),
+    upper: round(upper, 4),
+    distancePct: round(distance, 4),
+    inBand,
+    moveToEdge: { direction, pct: round(move, 4) },
+    state,
+    held,
+    text,
+  };
+}
+
+/**
+ * Banded recommendation. `previousState` holds the effective factor states
+ * from the last evaluation ({ effSpy, effVol14, effVol24, effTreas }); a factor
+ * inside its band keeps that state until the value leaves the band. `params`
+ * are the strategy parameters from lib/config.js.
+ */
+function determineRecommendationWithBands(data, previousState = null, params = DEFAULT_PARAMS) {
   const spy = parseFloat(data.spy);
   const sma = parseFloat(data.sma220);
   const vol = parseFloat(data.volatility);
   const change = parseFloat(data.treasuryRateChange);
+  const prev = previousState || {};
 
+  const { smaBandPct, volBand, volLow, volHigh, treasuryThresh } = params;
   const isSpyAbove = spy > sma;
-  const isVol14 = vol < 14;
-  const isVol24 = vol < 24;
+  const isVol14 = vol < volLow;
+  const isVol24 = vol < volHigh;
 
-  const smaBandPct = 0.02;
-  const volBand = 1.0;
-  const treasuryThresh = -0.001;
+  const treasuryMfeaThresh = TREASURY_MFEA_THRESH;
 
   const lowerSMA = sma * (1 - smaBandPct);
   const upperSMA = sma * (1 + smaBandPct);
-  const lower14 = 14 - volBand;
-  const upper14 = 14 + volBand;
-  const lower24 = 24 - volBand;
-  const upper24 = 24 + volBand;
+  const lower14 = volLow - volBand;
+  const upper14 = volLow + volBand;
+  const lower24 = volHigh - volBand;
+  const upper24 = volHigh + volBand;
+
+  const spyF = resolveBandedFactor(spy, lowerSMA, upperSMA, false, prev.effSpy, isSpyAbove);
+  const vol14F = resolveBandedFactor(vol, lower14, upper14, true, prev.effVol14, isVol14);
+  const vol24F = resolveBandedFactor(vol, lower24, upper24, true, prev.effVol24, isVol24);
+  const treasF = resolveBandedFactor(
+    change,
+    treasuryThresh,
+    treasuryMfeaThresh,
+    true,
+    prev.effTreas,
+    change < treasuryThresh
+  );
 
-  const effSpy = spy > upperSMA ? true : spy < lowerSMA ? false : isSpyAbove;
-  const effVol14 = vol < lower14 ? true : vol > upper14 ? false : isVol14;
-  const effVol24 = vol < lower24 ? true : vol > upper24 ? false : isVol24;
-  const effTreas = change < treasuryThresh;
+  const effSpy = spyF.state;
+  const effVol14 = vol14F.state;
+  const effVol24 = vol24F.state;
+  const effTreas = treasF.state;
 
-  logDebug(`Bands: SPY ${lowerSMA.toFixed(2)}–${upperSMA.toFixed(2)}, Vol14 ${lower14}-${upper14}, Vol24 ${lower24}-${upper24}, Treas <${treasuryThresh}`);
+  const volLabels = (level) => ({ above: `above the ${level}% threshold`, below: `below the ${level}% threshold` });
+  const factors = {
+    spy: explainFactor({
+      name: 'SPY',
+      digits: 1,
+      relative: true,
+      value: spy,
+      threshold: sma,
+      lower: lowerSMA,
+      upper: upperSMA,
+      belowState: false,
+      state: effSpy,
+      held: spyF.held,
+      labels: { above: 'above the SMA', below: 'below the SMA' },
+    }),
+    vol14: explainFactor({
+      name: 'Volatility',
+      unit: 'pts',
+      digits: 2,
+      value: vol,
+      threshold: volLow,
+      lower: lower14,
+      upper: upper14,
+      belowState: true,
+      state: effVol14,
+      held: vol14F.held,
+      labels: volLabels(volLow),
+    }),
+    vol24: explainFactor({
+      name: 'Volatility',
+      unit: 'pts',
+      digits: 2,
+      value: vol,
+      threshold: volHigh,
+      lower: lower24,
+      upper: upper24,
+      belowState: true,
+      state: effVol24,
+      held: vol24F.held,
+      labels: volLabels(volHigh),
+    }),
+    treasury: explainFactor({
+      name: 'Treasury change',
+      unit: 'pts',
+      digits: 4,
+      value: change,
+      threshold: treasuryThresh,
+      lower: treasuryThresh,
+      upper: treasuryMfeaThresh,
+      belowState: true,
+      state: effTreas,
+      held: treasF.held,
+      labels: { above: `above the ${treasuryThresh} threshold`, below: `below the ${treasuryThresh} threshold` },
+    }),
+  };
 
   const rec = calculateAllocationLogic(effSpy, effVol14, effVol24, effTreas);
   return {
     recommendedCategory: rec.category,
     recommendedAllocation: rec.allocation,
+    factorState: { effSpy, effVol14, effVol24, effTreas },
     bandInfo: {
       smaBandPct,
       volBand,
+      volLow,
+      volHigh,
       treasuryThresh,
       effSpy,
       effVol14,
       effVol24,
       effTreas,
+      held: {
+        effSpy: spyF.held,
+        effVol14: vol14F.held,
+        effVol24: vol24F.held,
+        effTreas: treasF.held,
+      },
+      factors,
     },
   };
 }
 
-async function fetchCheckFinancialData() {
-  const [spyResp, trxResp, volResp] = await Promise.all([
-    axios.get('https://query1.finance.yahoo.com/v8/finance/chart/SPY?interval=1d&range=220d'),
-    axios.get('https://query1.finance.yahoo.com/v8/finance/chart/%5EIRX?interval=1d&range=50d'),
-    axios.get('https://query1.finance.yahoo.com/v8/finance/chart/SPY?interval=1d&range=40d'),
+/**
+ * Band influence text shared by /check and the web endpoints: whether the
+ * recommendation matches the strict model, one line per factor from
+ * `bandInfo.factors`, and the factors held by hysteresis.
+ */
+function describeBandAnalysis(bandInfo, recommendationDiffers) {
+  const factors = bandInfo.factors || {};
+  const inBand = Object.keys(factors).filter((key) => factors[key].inBand);
+  const lines = [
+    recommendationDiffers
+      ? 'Recommendation differs from the strict MFEA model.'
+      : inBand.length > 0
+      ? 'Factors within bands. Recommendation aligns.'
+      : 'All factors clear of bands. Recommendation aligns.',
+  ];
+  Object.keys(factors).forEach((key) => lines.push(`• ${factors[key].text}.`));
+  const held = describeHeldFactors(bandInfo);
+  if (held.length > 0) lines.push(`Held by hysteresis: ${held.join('; ')}.`);
+  return lines.join('\n');
+}
+
+/**
+ * Treasury trend text shared by /check and the web endpoints, e.g.
+ * '⬇️ 0.0123 pts'. Moves within ±0.0001 pts read as no change.
+ */
+function formatTreasuryTrend(change) {
+  const n = parseFloat(change);
+  if (n > 0.0001) return `⬆️ +${n.toFixed(4)} pts`;
+  if (n < -0.0001) return `⬇️ ${Math.abs(n).toFixed(4)} pts`;
+  return '↔️ No change';
+}
+
+// Human-readable names of the factors currently held by hysteresis
+function describeHeldFactors(bandInfo) {
+  const labels = {
+    effSpy: (v) => `SPY ${v ? 'above' : 'below'} SMA`,
+    effVol14: (v) => `Vol ${v ? 'below' : 'above'} ${bandInfo.volLow}%`,
+    effVol24: (v) => `Vol ${v ? 'below' : 'above'} ${bandInfo.volHigh}%`,
+    effTreas: (v) => `Treasury ${v ? 'falling' : 'not falling'}`,
+  };
+  return Object.keys(labels)
+    .filter((key) => bandInfo.held && bandInfo.held[key])
+    .map((key) => labels[key](bandInfo[key]));
+}
+
+// ISO time of the last bar holding a price, or null
+function lastBarTime(points) {
+  const last = points.filter((pt) => typeof pt.close === 'number').pop();
+  return last ? new Date(last.timestamp * 1000).toISOString() : null;
+}
+
+/**
+ * Fetches SPY and ^IRX and computes the MFEA inputs. `dataQuality` holds the
+ * validation result (see lib/validation.js). The raw series are validated
+ * first: when they fail, only `dataProvider`, `dataTimestamps` and
+ * `dataQuality` are returned, without signals. Callers must check
+ * `dataQuality.ok` before using the signal.
+ */
+async function fetchCheckFinancialData(params = DEFAULT_PARAMS, provider = getProvider()) {
+  const p = resolveParams(params);
+  const trxRange = Math.max(50, p.treasuryLookback * 2 + 8);
+  // About two thirds of calendar days are sessions; fetch enough for a full SMA
+  const spyRange = Math.ceil(p.smaLength * 1.5) + 10;
+  const [spySeries, trxSeries] = await Promise.all([
+    provider.getDailyCloses('SPY', { range: `${spyRange}d` }),
+    provider.getDailyCloses('^IRX', { range: `${trxRange}d`, adjusted: false }),
   ]);
 
-  const sres = spyResp.data.chart.result[0];
-  const priceArr = sres.indicators.adjclose[0].adjclose;
-  const tsArr = sres.timestamp;
-  const valid = tsArr
-    .map((t, i) => (typeof priceArr[i] === 'number' ? { date: new Date(t * 1000).toLocaleDateString('en-US'), price: priceArr[i] } : null))
-    .filter((x) => x)
-    .slice(-220);
+  const meta = {
+    dataProvider: provider.name,
+    dataTimestamps: {
+      spy: lastBarTime(spySeries.points),
+      treasury: lastBarTime(trxSeries.points),
+    },
+  };
+  const seriesQuality = validateSeries({
+    spyPoints: spySeries.points,
+    ratePoints: trxSeries.points,
+    params: p,
+    volWindow: VOL_WINDOW,
+    // Recordings are old by design
+    checkStaleness: provider.name !== 'fixture',
+  });
+  if (!seriesQuality.ok) return { ...meta, dataQuality: seriesQuality };
+
+  const valid = spySeries.points
+    .map((pt) => (typeof pt.close === 'number' ? { date: new Date(pt.timestamp * 1000).toLocaleDateString('en-US'), price: pt.close } : null))
+    .filter((x) => x);
 
   const prices = valid.map((v) => v.price);
-  const sma220 = prices.reduce((a, b) => a + b, 0) / prices.length;
-
-  const trx = trxResp.data.chart.result[0];
-  const rArr = trx.indicators.quote[0].close;
-  const idx = rArr.length - 1;
-  const oneMo = idx - 21;
-  const currT = rArr[idx];
-  const prevT = rArr[oneMo < 0 ? 0 : oneMo];
-  const delta = currT - prevT;
-  const isF = delta < -0.0001;
-
-  const vres = volResp.data.chart.result[0].indicators.adjclose[0].adjclose.filter((x) => typeof x === 'number');
-  const ret = vres
-    .slice(-22)
-    .map((p, i, a) => (i ? p / a[i - 1] - 1 : null))
-    .filter((x) => x != null);
-  const mean = ret.reduce((s, r) => s + r, 0) / ret.length;
-  const variance = ret.reduce((s, r) => s + Math.pow(r - mean, 2), 0) / ret.length;
-  const annVol = Math.sqrt(variance) * Math.sqrt(252) * 100;
+  // Bars without a close are left out so the lookback counts real closes
+  const rArr = trxSeries.points.map((pt) => pt.close).filter((close) => typeof close === 'number');
+
+  const signals = computeSignalData(prices, rArr, p);
+  const problems = validateSignals(signals);
+  const priceHistory = valid.slice(-p.smaLength);
 
   return {
-    spy: prices[prices.length - 1].toFixed(2),
-    sma220: sma220.toFixed(2),
-    spyStatus: prices[prices.length - 1] > sma220 ? 'Over' : 'Under',
-    volatility: annVol.toFixed(2),
-    treasuryRate: currT.toFixed(3),
-    treasuryRateChange: delta.toFixed(4),
-    isTreasuryFalling: isF,
-    priceHistory: valid,
-    smaHistory: valid.map((v) => ({ date: v.date, sma: parseFloat(sma220.toFixed(2)) })),
+    ...signals,
+    ...meta,
+    dataQuality: { ok: problems.length === 0, problems },
+    priceHistory,
+    smaHistory: priceHistory.map((v) => ({ date: v.date, sma: parseFloat(signals.sma220) })),
   };
 }
 
+// One line per data problem, for messages and errors
+function describeDataProblems(dataQuality) {
+  return dataQuality.problems.map((problem) => `• ${problem.message}`).join('\n');
+}
+
 module.exports = {
+  VOL_WINDOW,
+  computeSma,
+  computeAnnualizedVolatility,
+  computeTreasuryChange,
+  computeSignalData,
   fetchCheckFinancialData,
+  describeDataProblems,
   determineRiskCategory,
   determineRecommendationWithBands,
+  describeHeldFactors,
+  describeBandAnalysis,
+  formatTreasuryTrend,
   calculateAllocationLogic,
 };
@@ -0,0 +1,173 @@
+// Allocation change timeline built from the stored history entries
+const { formatAllocation } = require('./allocation');
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Turns history entries (newest first, as stored, with structured
+ * allocations) into a list of changes,
+ * newest first: { timestamp, date, from, to, durationMs, current, signals }.
+ * A regime lasts until the next change, or until `now` for the current one.
+ */
+function buildTimeline(entries, now = Date.now()) {
+  const chronological = entries
+    .filter((entry) => entry.timestamp && !isNaN(Date.parse(entry.timestamp)))
+    .slice()
+    .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+
+  return chronological
+    .map((entry, i) => {
+      const start = Date.parse(entry.timestamp);
+      const next = chronological[i + 1];
+      const end = next ? Date.parse(next.timestamp) : now;
+      return {
+        timestamp: entry.timestamp,
+        date: entry.timestamp.slice(0, 10),
+        from: i > 0 ? chronological[i - 1].allocation : null,
+        to: entry.allocation,
+        durationMs: Math.max(0, end - start),
+        current: !next,
+        signals: entry.signals || null,
+      };
+    })
+    .reverse();
+}
+
+/**
+ * Validates optional YYYY-MM-DD `from`/`to` bounds. Throws with a user-facing
+ * message on bad input.
+ */
+function parseHistoryFilter(from, to) {
+  [from, to].forEach((value) => {
+    if (value && (!DATE_RE.test(value) || isNaN(Date.parse(value)))) {
+      throw new Error('Dates must be in YYYY-MM-DD format.');
+    }
+  });
+  if (from && to && from > to) {
+    throw new Error('The start date must not be after the end date.');
+  }
+  return { from: from || null, to: to || null };
+}
+
+function filterTimeline(timeline, { from, to }) {
+  return timeline.filter(
+    (change) => (!from || change.date >= from) && (!to || change.date <= to)
+  );
+}
+
+function formatDuration(ms) {
+  const days = Math.floor(ms / DAY_MS);
+  if (days >= 1) return `${days} day${days === 1 ? '' : 's'}`;
+  const hours = Math.floor(ms / (60 * 60 * 1000));
+  return hours >= 1 ? `${hours}h` : '<1h';
+}
+
+const SIGNAL_FIELDS = ['spy', 'sma220', 'volatility', 'treasuryRate', 'treasuryRateChange'];
+
+// Plain export record of a timeline change, used by /api/history
+function toExportRow(change) {
+  const signals = change.signals || {};
+  return {
+    timestamp: change.timestamp,
+    date: change.date,
+    category: change.to.category || null,
+    allocation: formatAllocation(change.to),
+    weights: change.to.weights,
+    from: change.from ? formatAllocation(change.from) : null,
+    daysHeld: +(change.durationMs / DAY_MS).toFixed(2),
+    current: change.current,
+    ...Object.fromEntries(
+      SIGNAL_FIELDS.map((field) => [field, signals[field] != null ? Number(signals[field]) : null])
+    ),
+  };
+}
+
+function csvCell(value) {
+  if (value == null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV of export rows with one `weight_<TICKER>` column per ticker held at any
+ * point, so each allocation is spreadsheet-friendly.
+ */
+function formatCsv(rows) {
+  const tickers = [...new Set(rows.flatMap((row) => Object.keys(row.weights || {})))].sort();
+  const columns = ['timestamp', 'date', 'category', 'allocation', 'from', 'daysHeld', 'current', ...SIGNAL_FIELDS];
+  const header = [...columns, ...tickers.map((ticker) => `weight_${ticker}`)];
+  const lines = rows.map((row) =>
+    [...columns.map((column) => row[column]), ...tickers.map((ticker) => (row.weights || {})[ticker] || 0)]
+      .map(csvCell)
+      .join(',')
+  );
+  return [header.join(','), ...lines].join('\r\n') + '\r\n';
+}
+
+function escapeXml(text) {
+  return String(text).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+function describeChange(row) {
+  const lines = [`${row.from || 'None'} → ${row.allocation}`];
+  if (row.spy != null) {
+    lines.push(
+      `SPY ${row.spy} vs SMA ${row.sma220}, volatility ${row.volatility}%, ` +
+        `3M rate ${row.treasuryRate}% (change ${row.treasuryRateChange})`
+    );
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Atom (`format` 'atom') or RSS 2.0 feed of export rows, newest first. `url`
+ * is the feed's own address and `host` names the tag: URIs of the entries.
+ */
+function buildFeed(rows, { format = 'atom', url, host, title = 'Allocation changes' }) {
+  const updated = rows.length ? rows[0].timestamp : new Date(0).toISOString();
+  const entryTitle = (row) => `Allocation changed to ${row.allocation}${row.category ? ` (${row.category})` : ''}`;
+  const entryId = (row) => `tag:${host},${row.date}:allocation/${row.timestamp}`;
+
+  if (format === 'rss') {
+    const items = rows.map(
+      (row) =>
+        `<item><title>${escapeXml(entryTitle(row))}</title>` +
+        `<guid isPermaLink="false">${escapeXml(entryId(row))}</guid>` +
+        `<pubDate>${new Date(row.timestamp).toUTCString()}</pubDate>` +
+        `<description>${escapeXml(describeChange(row))}</description></item>`
+    );
+    return (
+      '<?xml version="1.0" encoding="utf-8"?>\n' +
+      `<rss version="2.0"><channel><title>${escapeXml(title)}</title>` +
+      `<link>${escapeXml(url)}</link><description>${escapeXml(title)}</description>` +
+      `<lastBuildDate>${new Date(updated).toUTCString()}</lastBuildDate>` +
+      `${items.join('')}</channel></rss>\n`
+    );
+  }
+
+  const entries = rows.map(
+    (row) =>
+      `<entry><title>${escapeXml(entryTitle(row))}</title>` +
+      `<id>${escapeXml(entryId(row))}</id><updated>${row.timestamp}</updated>` +
+      `<content type="text">${escapeXml(describeChange(row))}</content></entry>`
+  );
+  return (
+    '<?xml version="1.0" encoding="utf-8"?>\n' +
+    '<feed xmlns="http://www.w3.org/2005/Atom">' +
+    `<title>${escapeXml(title)}</title><id>${escapeXml(url)}</id>` +
+    `<link rel="self" href="${escapeXml(url)}"/><updated>${updated}</updated>` +
+    `<author><name>${escapeXml(host)}</name></author>` +
+    `${entries.join('')}</feed>\n`
+  );
+}
+
+module.exports = {
+  buildTimeline,
+  parseHistoryFilter,
+  filterTimeline,
+  formatDuration,
+  toExportRow,
+  formatCsv,
+  buildFeed,
+};
@@ -0,0 +1,206 @@
+// Technical indicators over a price series (oldest first). Each returns an
+// array aligned with the input, null where there is not enough history yet.
+
+function mean(values) {
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+// Population variance, as used for the MFEA volatility
+function variance(values) {
+  const m = mean(values);
+  return values.reduce((s, v) => s + Math.pow(v - m, 2), 0) / values.length;
+}
+
+function sma(values, period) {
+  return values.map((_, i) => (i + 1 >= period ? mean(values.slice(i + 1 - period, i + 1)) : null));
+}
+
+// Exponential moving average seeded with the SMA of the first `period` values
+function ema(values, period) {
+  const k = 2 / (period + 1);
+  const out = values.map(() => null);
+  if (values.length < period) return out;
+  out[period - 1] = mean(values.slice(0, period));
+  for (let i = period; i < values.length; i++) {
+    out[i] = values[i] * k + out[i - 1] * (1 - k);
+  }
+  return out;
+}
+
+// Middle band is the SMA; upper/lower are `mult` standard deviations away
+function bollinger(values, period = 20, mult = 2) {
+  const middle = sma(values, period);
+  const width = values.map((_, i) =>
+    middle[i] == null ? null : mult * Math.sqrt(variance(values.slice(i + 1 - period, i + 1)))
+  );
+  return {
+    middle,
+    upper: middle.map((m, i) => (m == null ? null : m + width[i])),
+    lower: middle.map((m, i) => (m == null ? null : m - width[i])),
+  };
+}
+
+// Relative strength index with Wilder's smoothing, 0–100
+function rsi(values, period = 14) {
+  const out = values.map(() => null);
+  if (values.length <= period) return out;
+  const change = (i) => values[i] - values[i - 1];
+  let gain = 0;
+  let loss = 0;
+  for (let i = 1; i <= period; i++) {
+    gain += Math.max(change(i), 0);
+    loss += Math.max(-change(i), 0);
+  }
+  gain /= period;
+  loss /= period;
+  const value = () => (loss === 0 ? 100 : 100 - 100 / (1 + gain / loss));
+  out[period] = value();
+  for (let i = period + 1; i < values.length; i++) {
+    gain = (gain * (period - 1) + Math.max(change(i), 0)) / period;
+    loss = (loss * (period - 1) + Math.max(-change(i), 0)) / period;
+    out[i] = value();
+  }
+  return out;
+}
+
+// Simple returns between consecutive values
+function simpleReturns(values) {
+  return values.slice(1).map((v, i) => v / values[i] - 1);
+}
+
+/**
+ * Annualized volatility of a whole series as a fraction: the population
+ * standard deviation of its simple returns, scaled by `periodsPerYear`.
+ */
+function annualizedVolatility(values, periodsPerYear = 252) {
+  const returns = simpleReturns(values);
+  return returns.length ? Math.sqrt(variance(returns)) * Math.sqrt(periodsPerYear) : 0;
+}
+
+/**
+ * Rolling realized volatility in percent: the annualized volatility of the
+ * last `window` simple returns.
+ */
+function realizedVolatility(values, window = 21, periodsPerYear = 252) {
+  return values.map((_, i) =>
+    i < window ? null : annualizedVolatility(values.slice(i - window, i + 1), periodsPerYear) * 100
+  );
+}
+
+// Change from the first to the last value, as a fraction
+function totalReturn(values) {
+  return values[values.length - 1] / values[0] - 1;
+}
+
+// Largest decline from a running peak, as a fraction (0 or negative)
+function maxDrawdown(values) {
+  let peak = values[0];
+  let drawdown = 0;
+  values.forEach((v) => {
+    peak = Math.max(peak, v);
+    drawdown = Math.min(drawdown, v / peak - 1);
+  });
+  return drawdown;
+}
+
+// Last non-null value of an indicator series
+function latest(series) {
+  for (let i = series.length - 1; i >= 0; i--) {
+    if (series[i] != null) return series[i];
+  }
+  return null;
+}
+
+// Indicator types accepted by /ticker, with their default periods
+const INDICATOR_TYPES = {
+  sma: { name: 'SMA', period: 50, aliases: ['sma', 'ma'] },
+  ema: { name: 'EMA', period: 20, aliases: ['ema'] },
+  bb: { name: 'Bollinger', period: 20, aliases: ['bb', 'bollinger', 'bbands'] },
+  rsi: { name: 'RSI', period: 14, aliases: ['rsi'] },
+  vol: { name: 'Volatility', period: 21, aliases: ['vol', 'volatility', 'rv'] },
+};
+const MAX_INDICATORS = 6;
+const MAX_PERIOD = 250;
+
+/**
+ * Parses a list like "sma50, ema(20) bb rsi vol" into
+ * [{ type, period, label }]. Periods are optional and default per type.
+ * Throws with a user-facing message on anything it does not recognize.
+ */
+function parseIndicators(input) {
+  const tokens = String(input || '')
+    .toLowerCase()
+    .split(/[\s,;]+/)
+    .filter(Boolean);
+  const specs = [];
+  for (const token of tokens) {
+    const match = token.match(/^([a-z]+)[(:]?(\d+)?\)?$/);
+    const type = match && Object.keys(INDICATOR_TYPES).find((t) => INDICATOR_TYPES[t].aliases.includes(match[1]));
+    if (!type) {
+      throw new Error(`Unknown indicator \`${token}\`. Use sma50, ema20, bb, rsi or vol.`);
+    }
+    const period = match[2] ? parseInt(match[2], 10) : INDICATOR_TYPES[type].period;
+    if (period < 2 || period > MAX_PERIOD) {
+      throw new Error(`Indicator periods must be between 2 and ${MAX_PERIOD}.`);
+    }
+    const label = `${INDICATOR_TYPES[type].name}(${period})`;
+    if (!specs.some((s) => s.label === label)) specs.push({ type, period, label });
+  }
+  if (specs.length > MAX_INDICATORS) {
+    throw new Error(`Pick at most ${MAX_INDICATORS} indicators.`);
+  }
+  return specs;
+}
+
+/**
+ * Computes parsed indicators over `values`. Returns one entry per spec:
+ * { ...spec, lines: [{ label, values }], latest } where `latest` is the last
+ * value (for Bollinger Bands an object with upper/middle/lower) or null when
+ * there is not enough history. SMA, EMA and Bollinger Bands are price
+ * overlays; RSI and volatility are drawn on their own scale.
+ */
+function computeIndicators(values, specs, periodsPerYear = 252) {
+  return specs.map((spec) => {
+    if (spec.type === 'bb') {
+      const bands = bollinger(values, spec.period);
+      const last = latest(bands.middle);
+      return {
+        ...spec,
+        overlay: true,
+        lines: [
+          { label: spec.label, values: bands.upper },
+          { label: null, values: bands.middle },
+          { label: null, values: bands.lower },
+        ],
+        latest: last == null ? null : { upper: latest(bands.upper), middle: last, lower: latest(bands.lower) },
+      };
+    }
+    const series = {
+      sma: () => sma(values, spec.period),
+      ema: () => ema(values, spec.period),
+      rsi: () => rsi(values, spec.period),
+      vol: () => realizedVolatility(values, spec.period, periodsPerYear),
+    }[spec.type]();
+    return {
+      ...spec,
+      overlay: spec.type === 'sma' || spec.type === 'ema',
+      lines: [{ label: spec.label, values: series }],
+      latest: latest(series),
+    };
+  });
+}
+
+module.exports = {
+  INDICATOR_TYPES,
+  parseIndicators,
+  computeIndicators,
+  sma,
+  ema,
+  bollinger,
+  rsi,
+  realizedVolatility,
+  annualizedVolatility,
+  totalReturn,
+  maxDrawdown,
+  latest,
+};
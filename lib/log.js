@@ -0,0 +1,8 @@
+// Logging helpers for the data modules, commands and endpoints
+
+// Helper function to log debug messages
+function logDebug(message) {
+  console.log(`[DEBUG] ${message}`);
+}
+
+module.exports = { logDebug };
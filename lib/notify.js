@@ -0,0 +1,99 @@
+// Per-user notification preferences: delivery, event types and quiet hours
+
+// Event types a user can opt into, in display order
+const NOTIFY_EVENTS = {
+  category: 'Category changes',
+  allocation: 'Any allocation change',
+  warning: 'Early warnings',
+  digest: 'Daily digest',
+};
+
+const DELIVERY_METHODS = {
+  channel: 'Mention in the alerts channel',
+  dm: 'Direct message',
+};
+
+const DEFAULT_PREFS = { delivery: 'channel', events: [], quietHours: null };
+
+function isHour(value) {
+  return Number.isInteger(value) && value >= 0 && value <= 23;
+}
+
+/**
+ * Cleans a stored preference record, dropping unknown events and malformed
+ * quiet hours. Quiet hours are { start, end } in whole UTC hours and may wrap
+ * past midnight.
+ */
+function normalizePrefs(value) {
+  const prefs = value && typeof value === 'object' ? value : {};
+  const quiet = prefs.quietHours;
+  return {
+    delivery: DELIVERY_METHODS[prefs.delivery] ? prefs.delivery : DEFAULT_PREFS.delivery,
+    events: Object.keys(NOTIFY_EVENTS).filter(
+      (event) => Array.isArray(prefs.events) && prefs.events.includes(event)
+    ),
+    quietHours:
+      quiet && isHour(quiet.start) && isHour(quiet.end) && quiet.start !== quiet.end
+        ? { start: quiet.start, end: quiet.end }
+        : null,
+  };
+}
+
+function wantsEvent(prefs, events) {
+  return prefs.events.some((event) => events.includes(event));
+}
+
+function isQuiet(prefs, date = new Date()) {
+  if (!prefs.quietHours) return false;
+  const { start, end } = prefs.quietHours;
+  const hour = date.getUTCHours();
+  return start < end ? hour >= start && hour < end : hour >= start || hour < end;
+}
+
+function formatHour(hour) {
+  return `${String(hour).padStart(2, '0')}:00 UTC`;
+}
+
+function formatQuietHours(quietHours) {
+  return quietHours ? `${formatHour(quietHours.start)} – ${formatHour(quietHours.end)}` : 'Off';
+}
+
+/**
+ * Applies one /notify select menu choice. `field` is the part of the
+ * component's custom_id after `notify:`; `values` are the selected values.
+ * Throws on anything the menus could not have sent.
+ */
+function applySelection(prefs, field, values) {
+  const next = normalizePrefs(prefs);
+  if (field === 'events') {
+    next.events = Object.keys(NOTIFY_EVENTS).filter((event) => values.includes(event));
+  } else if (field === 'delivery') {
+    if (!DELIVERY_METHODS[values[0]]) throw new Error(`Unknown delivery method: ${values[0]}`);
+    next.delivery = values[0];
+  } else if (field === 'quiet_start' || field === 'quiet_end') {
+    if (values[0] === 'off') {
+      next.quietHours = null;
+      return next;
+    }
+    const hour = parseInt(values[0], 10);
+    if (!isHour(hour)) throw new Error(`Invalid hour: ${values[0]}`);
+    const quiet = next.quietHours || { start: 22, end: 7 };
+    next.quietHours = field === 'quiet_start' ? { ...quiet, start: hour } : { ...quiet, end: hour };
+    if (next.quietHours.start === next.quietHours.end) next.quietHours = null;
+  } else {
+    throw new Error(`Unknown notification setting: ${field}`);
+  }
+  return next;
+}
+
+module.exports = {
+  NOTIFY_EVENTS,
+  DELIVERY_METHODS,
+  DEFAULT_PREFS,
+  normalizePrefs,
+  wantsEvent,
+  isQuiet,
+  formatHour,
+  formatQuietHours,
+  applySelection,
+};
@@ -0,0 +1,97 @@
+// Per-guild access policy for admin commands
+
+// Discord permission bits that always count as admin
+const ADMINISTRATOR = 1n << 3n;
+const MANAGE_GUILD = 1n << 5n;
+
+// Value for default_member_permissions on admin-only commands
+const ADMIN_DEFAULT_PERMISSIONS = String(MANAGE_GUILD);
+
+const ACCESS_LEVELS = {
+  admin: 'Admins only',
+  everyone: 'Everyone',
+};
+
+/**
+ * Commands a guild can open up or restrict, keyed by `name` or
+ * `name subcommand`, with their default level. Anything not listed here is
+ * open to everyone; /permissions itself always needs an admin.
+ */
+const RESTRICTABLE_COMMANDS = {
+  test: 'admin',
+  'config set': 'admin',
+  'config reset': 'admin',
+  setup: 'admin',
+  backtest: 'everyone',
+};
+const LOCKED_COMMANDS = ['permissions'];
+
+/**
+ * Cleans a stored policy: { adminRoles: [roleId], commands: { key: level } }.
+ * Only overrides of RESTRICTABLE_COMMANDS with a known level are kept.
+ */
+function normalizePolicy(value) {
+  const policy = value && typeof value === 'object' ? value : {};
+  const commands = {};
+  Object.entries(policy.commands || {}).forEach(([key, level]) => {
+    if (RESTRICTABLE_COMMANDS[key] && ACCESS_LEVELS[level]) commands[key] = level;
+  });
+  return {
+    adminRoles: Array.isArray(policy.adminRoles) ? policy.adminRoles.map(String) : [],
+    commands,
+  };
+}
+
+// `name` or `name subcommand` of an application command interaction
+function commandKey(data) {
+  const sub = (data.options || []).find((option) => option.type === 1 || option.type === 2);
+  return sub ? `${data.name} ${sub.name}` : data.name;
+}
+
+function accessLevel(key, policy) {
+  const name = key.split(' ')[0];
+  if (LOCKED_COMMANDS.includes(name)) return 'admin';
+  const overrides = normalizePolicy(policy).commands;
+  return overrides[key] || overrides[name] || RESTRICTABLE_COMMANDS[key] || RESTRICTABLE_COMMANDS[name] || 'everyone';
+}
+
+/**
+ * Whether an interaction member counts as a guild admin: Administrator or
+ * Manage Server in their resolved permissions, or one of the policy's admin
+ * roles. `member` is the interaction's `member` object.
+ */
+function isAdmin(member, policy) {
+  if (!member) return false;
+  let permissions = 0n;
+  try {
+    permissions = BigInt(member.permissions || 0);
+  } catch (e) {
+    // Malformed bitfield, treat as no permissions
+  }
+  if (permissions & (ADMINISTRATOR | MANAGE_GUILD)) return true;
+  const roles = member.roles || [];
+  return normalizePolicy(policy).adminRoles.some((role) => roles.includes(role));
+}
+
+/**
+ * Checks an application command interaction against the guild policy.
+ * Returns { allowed, key, level }. Admin-level commands are refused outside
+ * guilds, where there is no member to check.
+ */
+function checkAccess(interaction, policy) {
+  const key = commandKey(interaction.data);
+  const level = accessLevel(key, policy);
+  const allowed = level === 'everyone' || (!!interaction.guild_id && isAdmin(interaction.member, policy));
+  return { allowed, key, level };
+}
+
+module.exports = {
+  ADMIN_DEFAULT_PERMISSIONS,
+  ACCESS_LEVELS,
+  RESTRICTABLE_COMMANDS,
+  normalizePolicy,
+  commandKey,
+  accessLevel,
+  isAdmin,
+  checkAccess,
+};
@@ -0,0 +1,79 @@
+// Personal portfolio valuation and drift versus the recommended allocation
+const { getProvider } = require('./providers');
+
+const TICKER_RE = /^[A-Z0-9.^=-]{1,12}$/;
+
+function normalizeTicker(ticker) {
+  const symbol = String(ticker || '').trim().toUpperCase();
+  if (!TICKER_RE.test(symbol)) {
+    throw new Error(`"${ticker}" is not a valid ticker symbol.`);
+  }
+  return symbol;
+}
+
+/**
+ * Prices every holding ({ TICKER: shares }) and returns the positions with
+ * their market value and the portfolio total.
+ */
+async function valuePortfolio(holdings, provider = getProvider()) {
+  const tickers = Object.keys(holdings);
+  const quotes = await Promise.all(tickers.map((t) => provider.getQuote(t)));
+  const positions = tickers.map((ticker, i) => ({
+    ticker,
+    shares: holdings[ticker],
+    price: quotes[i].price,
+    value: holdings[ticker] * quotes[i].price,
+  }));
+  const total = positions.reduce((sum, p) => sum + p.value, 0);
+  return { positions, total };
+}
+
+/**
+ * Compares actual weights with `targetWeights` ({ TICKER: fraction }). Drift
+ * is in percentage points, positive when overweight. Rows cover every ticker
+ * held or targeted, largest absolute drift first.
+ */
+function computeDrift({ positions, total }, targetWeights) {
+  const tickers = [...new Set([...positions.map((p) => p.ticker), ...Object.keys(targetWeights)])];
+  return tickers
+    .map((ticker) => {
+      const position = positions.find((p) => p.ticker === ticker);
+      const value = position ? position.value : 0;
+      const weight = total > 0 ? value / total : 0;
+      const target = targetWeights[ticker] || 0;
+      return {
+        ticker,
+        shares: position ? position.shares : 0,
+        value,
+        weight,
+        target,
+        drift: (weight - target) * 100,
+      };
+    })
+    .sort((a, b) => Math.abs(b.drift) - Math.abs(a.drift));
+}
+
+function maxDrift(rows) {
+  return rows.reduce((max, row) => (Math.abs(row.drift) > Math.abs(max.drift) ? row : max), rows[0]);
+}
+
+// Fixed-width table for a Discord code block
+function formatDriftTable(rows) {
+  const pct = (v) => `${(v * 100).toFixed(1)}%`;
+  const header = 'Ticker  Shares      Value  Weight  Target   Drift';
+  const lines = rows.map(
+    (r) =>
+      `${r.ticker.padEnd(7)} ${String(+r.shares.toFixed(4)).padStart(6)} ` +
+      `${`$${r.value.toFixed(2)}`.padStart(10)} ${pct(r.weight).padStart(7)} ` +
+      `${pct(r.target).padStart(7)} ${`${r.drift >= 0 ? '+' : ''}${r.drift.toFixed(1)}`.padStart(7)}`
+  );
+  return [header, ...lines].join('\n');
+}
+
+module.exports = {
+  normalizeTicker,
+  valuePortfolio,
+  computeDrift,
+  maxDrift,
+  formatDriftTable,
+};
@@ -0,0 +1,176 @@
+/**
+ * Market data provider reading recorded data from disk, for offline runs and
+ * tests. Each symbol is looked up in the fixture directory with characters
+ * such as `^` stripped from the file name (^IRX -> IRX):
+ *
+ *   <SYMBOL>.json           daily bars: [{ date, close }] or a Yahoo chart response
+ *   <SYMBOL>.csv            daily bars with Date and Close (or Adj Close) columns
+ *   <SYMBOL>.intraday.json  intraday bars: [{ timestamp, close }] or a Yahoo chart response
+ *
+ * Ranges are applied relative to the last recorded bar, not today, so a
+ * recording keeps working after it was made.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DIR = path.join(__dirname, '..', '..', 'fixtures');
+
+// Date-only rows are stamped at the 16:00 ET close
+function dateToTimestamp(date) {
+  return Math.floor(Date.parse(`${date}T20:00:00Z`) / 1000);
+}
+
+function toDate(timestamp) {
+  return new Date(timestamp * 1000).toISOString().slice(0, 10);
+}
+
+function parseJsonPoints(json) {
+  if (json.chart) {
+    const r = json.chart.result[0];
+    const closes = r.indicators.adjclose?.[0]?.adjclose || r.indicators.quote[0].close;
+    return r.timestamp.map((timestamp, i) => ({
+      timestamp,
+      close: typeof closes[i] === 'number' ? closes[i] : null,
+    }));
+  }
+  return json.map((row) => {
+    const close = parseFloat(row.close);
+    return {
+      timestamp: row.timestamp != null ? row.timestamp : dateToTimestamp(row.date),
+      close: isNaN(close) ? null : close,
+    };
+  });
+}
+
+function parseCsvPoints(text) {
+  const lines = text.trim().split(/\r?\n/);
+  const header = lines.shift().split(',').map((h) => h.trim().toLowerCase());
+  const dateCol = header.indexOf('date');
+  const adjCol = header.indexOf('adj close');
+  const closeCol = adjCol >= 0 ? adjCol : header.indexOf('close');
+  if (dateCol < 0 || closeCol < 0) {
+    throw new Error('CSV fixture needs Date and Close columns');
+  }
+  return lines
+    .map((line) => line.split(','))
+    .map((cols) => {
+      const close = parseFloat(cols[closeCol]);
+      return {
+        timestamp: dateToTimestamp(cols[dateCol].trim()),
+        close: isNaN(close) ? null : close,
+      };
+    });
+}
+
+// Keeps the points covered by a Yahoo-style range ('5d', '1mo', '3y', 'max')
+function applyRange(points, range) {
+  const match = /^(\d+)(d|mo|y)$/.exec(range || '');
+  if (!match || points.length === 0) return points;
+  const n = parseInt(match[1], 10);
+  const unit = match[2];
+
+  if (unit === 'd') {
+    const dates = [...new Set(points.map((p) => toDate(p.timestamp)))].slice(-n);
+    const first = dates[0];
+    return points.filter((p) => toDate(p.timestamp) >= first);
+  }
+  const cutoff = new Date(points[points.length - 1].timestamp * 1000);
+  if (unit === 'mo') cutoff.setUTCMonth(cutoff.getUTCMonth() - n);
+  else cutoff.setUTCFullYear(cutoff.getUTCFullYear() - n);
+  const min = cutoff.getTime() / 1000;
+  return points.filter((p) => p.timestamp > min);
+}
+
+// Downsamples daily bars to the last bar of each week or month
+function applyInterval(points, interval) {
+  const keyFns = {
+    '1wk': (d) => {
+      const monday = new Date(d);
+      monday.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+      return monday.toISOString().slice(0, 10);
+    },
+    '1mo': (d) => d.toISOString().slice(0, 7),
+  };
+  const keyFn = keyFns[interval];
+  if (!keyFn) return points;
+  const buckets = new Map();
+  points.forEach((p) => buckets.set(keyFn(new Date(p.timestamp * 1000)), p));
+  return [...buckets.values()];
+}
+
+function lastPrice(points) {
+  for (let i = points.length - 1; i >= 0; i--) {
+    if (typeof points[i].close === 'number') return points[i].close;
+  }
+  return undefined;
+}
+
+/**
+ * Creates a fixture provider reading from `dir` (defaults to FIXTURE_DIR or
+ * the repo's fixtures/ folder).
+ */
+function createFixtureProvider(dir = process.env.FIXTURE_DIR || DEFAULT_DIR) {
+  function load(symbol, suffix = '') {
+    const base = path.join(dir, symbol.toUpperCase().replace(/[^A-Z0-9.-]/g, '') + suffix);
+    let points;
+    if (fs.existsSync(`${base}.json`)) {
+      points = parseJsonPoints(JSON.parse(fs.readFileSync(`${base}.json`, 'utf8')));
+    } else if (!suffix && fs.existsSync(`${base}.csv`)) {
+      points = parseCsvPoints(fs.readFileSync(`${base}.csv`, 'utf8'));
+    } else {
+      return null;
+    }
+    return points.sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  function loadDaily(symbol) {
+    const points = load(symbol);
+    if (!points) {
+      throw new Error(`No fixture data for ${symbol} in ${dir}`);
+    }
+    return points;
+  }
+
+  function series(symbol, points) {
+    return { symbol: symbol.toUpperCase(), lastPrice: lastPrice(points), points };
+  }
+
+  return {
+    name: 'fixture',
+    label: 'Recorded fixtures',
+
+    async getDailyCloses(symbol, { range = '1y', start, end, interval = '1d' } = {}) {
+      let points = loadDaily(symbol);
+      if (start) {
+        points = points.filter((p) => {
+          const date = toDate(p.timestamp);
+          return date >= start && (!end || date <= end);
+        });
+      } else {
+        points = applyRange(points, range);
+      }
+      return series(symbol, applyInterval(points, interval));
+    },
+
+    async getIntraday(symbol, { range = '1d' } = {}) {
+      const points = load(symbol, '.intraday') || loadDaily(symbol);
+      return series(symbol, applyRange(points, range));
+    },
+
+    async getQuote(symbol) {
+      const points = load(symbol, '.intraday') || loadDaily(symbol);
+      const price = lastPrice(points);
+      if (price === undefined) {
+        throw new Error('Invalid ticker symbol or data unavailable.');
+      }
+      return {
+        symbol: symbol.toUpperCase(),
+        price,
+        currency: 'USD',
+        timestamp: points[points.length - 1].timestamp,
+      };
+    },
+  };
+}
+
+module.exports = { createFixtureProvider };
@@ -0,0 +1,28 @@
+/**
+ * Market data provider selection. Every provider implements:
+ *
+ *   getDailyCloses(symbol, { range, start, end, interval, adjusted })
+ *   getIntraday(symbol, { range, interval })
+ *     -> { symbol, lastPrice, points: [{ timestamp, close }] }
+ *        (timestamps in seconds, oldest first; close is null for missing bars)
+ *   getQuote(symbol) -> { symbol, price, currency, timestamp }
+ *
+ * DATA_PROVIDER picks the implementation: `yahoo` (default) or `fixture`.
+ */
+const yahoo = require('./yahoo');
+const { createFixtureProvider } = require('./fixture');
+
+let fixture = null;
+
+function getProvider(name = process.env.DATA_PROVIDER || 'yahoo') {
+  if (name === 'fixture') {
+    fixture = fixture || createFixtureProvider();
+    return fixture;
+  }
+  if (name !== 'yahoo') {
+    console.error(`[providers] unknown DATA_PROVIDER "${name}", using yahoo`);
+  }
+  return yahoo;
+}
+
+module.exports = { getProvider, createFixtureProvider };
@@ -0,0 +1,86 @@
+// Market data provider backed by the Yahoo Finance chart API
+const axios = require('axios');
+
+const BASE_URL = 'https://query1.finance.yahoo.com/v8/finance/chart/';
+
+async function fetchChart(symbol, query) {
+  let resp;
+  try {
+    resp = await axios.get(`${BASE_URL}${encodeURIComponent(symbol)}?${query}`);
+  } catch (err) {
+    const description = err.response?.data?.chart?.error?.description;
+    if (description) {
+      throw new Error(`Yahoo Finance error: ${description}`);
+    }
+    throw err;
+  }
+  const chart = resp.data.chart || {};
+  if (!chart.result || chart.result.length === 0) {
+    if (chart.error?.description) {
+      throw new Error(`Yahoo Finance error: ${chart.error.description}`);
+    }
+    throw new Error('Invalid ticker symbol or data unavailable.');
+  }
+  return chart.result[0];
+}
+
+function toSeries(symbol, result, adjusted) {
+  const closes =
+    (adjusted && result.indicators?.adjclose?.[0]?.adjclose) ||
+    result.indicators?.quote?.[0]?.close;
+  if (!closes) {
+    throw new Error('Price data is unavailable.');
+  }
+  const timestamps = result.timestamp || [];
+  if (timestamps.length !== closes.length) {
+    throw new Error('Incomplete historical data.');
+  }
+  return {
+    symbol: symbol.toUpperCase(),
+    lastPrice: result.meta?.regularMarketPrice,
+    points: timestamps.map((timestamp, i) => ({
+      timestamp,
+      close: typeof closes[i] === 'number' ? closes[i] : null,
+    })),
+  };
+}
+
+function rangeQuery({ range, start, end }) {
+  if (start) {
+    const period1 = Math.floor(Date.parse(`${start}T00:00:00Z`) / 1000);
+    const period2 = end
+      ? Math.floor(Date.parse(`${end}T23:59:59Z`) / 1000)
+      : Math.floor(Date.now() / 1000);
+    return `period1=${period1}&period2=${period2}`;
+  }
+  return `range=${range}`;
+}
+
+module.exports = {
+  name: 'yahoo',
+  label: 'Yahoo Finance',
+
+  async getDailyCloses(symbol, { range = '1y', start, end, interval = '1d', adjusted = true } = {}) {
+    const result = await fetchChart(symbol, `interval=${interval}&${rangeQuery({ range, start, end })}`);
+    return toSeries(symbol, result, adjusted);
+  },
+
+  async getIntraday(symbol, { range = '1d', interval = '1m' } = {}) {
+    const result = await fetchChart(symbol, `interval=${interval}&range=${range}`);
+    return toSeries(symbol, result, false);
+  },
+
+  async getQuote(symbol) {
+    const result = await fetchChart(symbol, 'interval=1d&range=1d');
+    const price = result.meta?.regularMarketPrice;
+    if (price === undefined) {
+      throw new Error('Invalid ticker symbol or data unavailable.');
+    }
+    return {
+      symbol: symbol.toUpperCase(),
+      price,
+      currency: result.meta.currency,
+      timestamp: result.meta.regularMarketTime,
+    };
+  },
+};
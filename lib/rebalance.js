@@ -0,0 +1,64 @@
+// Trade calculator to move an account onto the recommended allocation
+
+const REBALANCE_TICKERS = ['UPRO', 'SSO', 'ZROZ', 'SPY'];
+
+function roundShares(n) {
+  return +n.toFixed(4);
+}
+
+/**
+ * Works out whole-share targets for `total` dollars split by `targetWeights`
+ * ({ TICKER: fraction }) and the trades from `holdings` ({ TICKER: shares })
+ * to get there. `prices` must cover every ticker involved. Tickers held but
+ * not targeted are sold in full. Cash is what remains after buying the
+ * targets.
+ */
+function computeRebalance({ total, holdings = {}, prices, targetWeights }) {
+  const tickers = [...new Set([...REBALANCE_TICKERS, ...Object.keys(holdings)])];
+  const trades = tickers.map((ticker) => {
+    const price = prices[ticker];
+    const currentShares = holdings[ticker] || 0;
+    const weight = targetWeights[ticker] || 0;
+    const targetShares = weight > 0 ? Math.floor((total * weight) / price) : 0;
+    const delta = roundShares(targetShares - currentShares);
+    return {
+      ticker,
+      price,
+      currentShares,
+      targetShares,
+      delta,
+      action: delta > 0 ? 'BUY' : delta < 0 ? 'SELL' : 'HOLD',
+      amount: Math.abs(delta) * price,
+    };
+  });
+  const invested = trades.reduce((sum, t) => sum + t.targetShares * t.price, 0);
+  return { total, trades, invested, cash: total - invested };
+}
+
+// CSV of the orders to place, one row per BUY/SELL
+function tradesToCsv(trades) {
+  const rows = trades
+    .filter((t) => t.action !== 'HOLD')
+    .map((t) =>
+      [t.action, t.ticker, Math.abs(t.delta), 'MARKET', t.price.toFixed(2), t.amount.toFixed(2)].join(',')
+    );
+  return ['Action,Symbol,Quantity,OrderType,Price,EstimatedAmount', ...rows].join('\n') + '\n';
+}
+
+// Fixed-width table for a Discord code block
+function formatTradeTable(trades) {
+  const header = 'Action Ticker     Qty     Price      Amount';
+  const lines = trades.map(
+    (t) =>
+      `${t.action.padEnd(6)} ${t.ticker.padEnd(6)} ${String(Math.abs(t.delta)).padStart(7)} ` +
+      `${`$${t.price.toFixed(2)}`.padStart(9)} ${`$${t.amount.toFixed(2)}`.padStart(11)}`
+  );
+  return [header, ...lines].join('\n');
+}
+
+module.exports = {
+  REBALANCE_TICKERS,
+  computeRebalance,
+  tradesToCsv,
+  formatTradeTable,
+};
@@ -0,0 +1,41 @@
+// Storage adapter persisting to a local JSON file, for self-hosting
+const fs = require('fs');
+const path = require('path');
+const { createMemoryAdapter } = require('./memory');
+
+function readSnapshot(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error('[storage] file read', err);
+    }
+    return {};
+  }
+}
+
+// Writes through a temp file so a crash never leaves half a JSON document
+function writeSnapshot(file, data) {
+  const tmp = `${file}.tmp`;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+function createFileAdapter(file) {
+  const memory = createMemoryAdapter(readSnapshot(file), (data) => writeSnapshot(file, data));
+
+  // Reload before every call so several processes sharing the file stay in sync
+  const adapter = { name: 'file', file };
+  Object.keys(memory)
+    .filter((key) => typeof memory[key] === 'function' && key !== 'restore')
+    .forEach((key) => {
+      adapter[key] = (...args) => {
+        memory.restore(readSnapshot(file));
+        return memory[key](...args);
+      };
+    });
+  return adapter;
+}
+
+module.exports = { createFileAdapter };
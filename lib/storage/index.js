@@ -0,0 +1,46 @@
+/**
+ * Storage backend selection. Every adapter implements the same Redis-style
+ * subset used by storage.js:
+ *
+ *   get(key) / set(key, value) / del(key)
+ *   setnx(key, value, seconds) (SET NX with an optional TTL)
+ *   lpush(key, value) / lrange(key, start, stop)
+ *   sadd(key, member) / srem(key, member) / smembers(key)
+ *   incr(key) / expire(key, seconds)
+ *
+ * Values are plain JSON. STORAGE_BACKEND picks `kv`, `file` or `memory`; when
+ * it is unset the KV adapter is used if KV (or Upstash) credentials exist and
+ * the file adapter otherwise.
+ */
+const path = require('path');
+const { createMemoryAdapter } = require('./memory');
+const { createFileAdapter } = require('./file');
+const { createKvAdapter } = require('./kv');
+
+// Use /tmp on Vercel because the function directory is read-only
+const DEFAULT_FILE = path.join(
+  process.env.VERCEL ? '/tmp' : path.join(__dirname, '..', '..'),
+  'storage.json'
+);
+
+function defaultBackend() {
+  const hasKv =
+    (process.env.KV_REST_API_URL || process.env.UPSTASH_REDIS_REST_URL) &&
+    (process.env.KV_REST_API_TOKEN || process.env.UPSTASH_REDIS_REST_TOKEN);
+  return hasKv ? 'kv' : 'file';
+}
+
+function createAdapter(backend = process.env.STORAGE_BACKEND || defaultBackend()) {
+  switch (backend) {
+    case 'kv':
+      return createKvAdapter();
+    case 'file':
+      return createFileAdapter(process.env.STORAGE_FILE || DEFAULT_FILE);
+    case 'memory':
+      return createMemoryAdapter();
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${backend}"`);
+  }
+}
+
+module.exports = { createAdapter, createMemoryAdapter, createFileAdapter, createKvAdapter };
@@ -0,0 +1,30 @@
+// Storage adapter for Vercel KV / Upstash Redis
+
+function createKvAdapter() {
+  // Support using Upstash environment variables if the Vercel KV ones are not set
+  if (!process.env.KV_REST_API_URL && process.env.UPSTASH_REDIS_REST_URL) {
+    process.env.KV_REST_API_URL = process.env.UPSTASH_REDIS_REST_URL;
+  }
+  if (!process.env.KV_REST_API_TOKEN && process.env.UPSTASH_REDIS_REST_TOKEN) {
+    process.env.KV_REST_API_TOKEN = process.env.UPSTASH_REDIS_REST_TOKEN;
+  }
+
+  const { kv } = require('@vercel/kv');
+
+  return {
+    name: 'kv',
+    get: (key) => kv.get(key),
+    set: (key, value) => kv.set(key, value),
+    setnx: (key, value, seconds) => kv.set(key, value, seconds ? { nx: true, ex: seconds } : { nx: true }),
+    del: (key) => kv.del(key),
+    lpush: (key, value) => kv.lpush(key, value),
+    lrange: (key, start, stop) => kv.lrange(key, start, stop),
+    sadd: (key, member) => kv.sadd(key, member),
+    srem: (key, member) => kv.srem(key, member),
+    smembers: (key) => kv.smembers(key),
+    incr: (key) => kv.incr(key),
+    expire: (key, seconds) => kv.expire(key, seconds),
+  };
+}
+
+module.exports = { createKvAdapter };
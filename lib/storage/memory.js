@@ -0,0 +1,157 @@
+/**
+ * In-memory storage adapter. Also the engine behind the file adapter, which
+ * passes a snapshot to start from and an `onChange` hook to persist it.
+ */
+
+function clone(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+function createMemoryAdapter(snapshot = {}, onChange = () => {}) {
+  let values;
+  let lists;
+  let sets;
+  // Expiry times (ms since epoch) of keys given a TTL with expire()
+  let expiries;
+
+  function restore(data) {
+    values = new Map(Object.entries(data.values || {}));
+    lists = new Map(Object.entries(data.lists || {}));
+    sets = new Map(Object.entries(data.sets || {}).map(([k, v]) => [k, new Set(v)]));
+    expiries = new Map(Object.entries(data.expiries || {}));
+    sweepExpired();
+  }
+
+  function snapshotData() {
+    return {
+      values: Object.fromEntries(values),
+      lists: Object.fromEntries(lists),
+      sets: Object.fromEntries([...sets].map(([k, v]) => [k, [...v]])),
+      expiries: Object.fromEntries(expiries),
+    };
+  }
+
+  function remove(key) {
+    values.delete(key);
+    lists.delete(key);
+    sets.delete(key);
+    expiries.delete(key);
+  }
+
+  // Drops `key` once its TTL has passed; called before every access
+  function expireIfDue(key) {
+    if (expiries.has(key) && expiries.get(key) <= Date.now()) remove(key);
+  }
+
+  // Drops every key whose TTL has passed, so keys that are never read again
+  // (old rate-limit windows, notification claims) do not pile up
+  function sweepExpired() {
+    const now = Date.now();
+    [...expiries]
+      .filter(([, at]) => at <= now)
+      .forEach(([key]) => remove(key));
+  }
+
+  function changed() {
+    sweepExpired();
+    onChange(snapshotData());
+  }
+
+  restore(snapshot);
+
+  return {
+    name: 'memory',
+    restore,
+
+    async get(key) {
+      expireIfDue(key);
+      return values.has(key) ? clone(values.get(key)) : null;
+    },
+
+    async set(key, value) {
+      values.set(key, clone(value));
+      expiries.delete(key);
+      changed();
+      return 'OK';
+    },
+
+    // Sets `key` only when it does not exist, with a TTL when `seconds` is
+    // given (Redis SET NX EX). Returns 'OK', or null when the key was taken.
+    async setnx(key, value, seconds) {
+      expireIfDue(key);
+      if (values.has(key) || lists.has(key) || sets.has(key)) return null;
+      values.set(key, clone(value));
+      if (seconds) expiries.set(key, Date.now() + seconds * 1000);
+      changed();
+      return 'OK';
+    },
+
+    async del(key) {
+      expireIfDue(key);
+      expiries.delete(key);
+      const existed = values.delete(key) || lists.delete(key) || sets.delete(key);
+      if (existed) changed();
+      return existed ? 1 : 0;
+    },
+
+    async lpush(key, value) {
+      expireIfDue(key);
+      const list = lists.get(key) || [];
+      list.unshift(clone(value));
+      lists.set(key, list);
+      changed();
+      return list.length;
+    },
+
+    // Inclusive range with Redis semantics (negative indexes count from the end)
+    async lrange(key, start, stop) {
+      expireIfDue(key);
+      const list = lists.get(key) || [];
+      const from = start < 0 ? Math.max(list.length + start, 0) : start;
+      const to = stop < 0 ? list.length + stop : stop;
+      return clone(list.slice(from, to + 1));
+    },
+
+    async sadd(key, member) {
+      expireIfDue(key);
+      const set = sets.get(key) || new Set();
+      const added = !set.has(member);
+      set.add(member);
+      sets.set(key, set);
+      if (added) changed();
+      return added ? 1 : 0;
+    },
+
+    async srem(key, member) {
+      expireIfDue(key);
+      const set = sets.get(key);
+      const removed = !!set && set.delete(member);
+      if (removed) changed();
+      return removed ? 1 : 0;
+    },
+
+    async smembers(key) {
+      expireIfDue(key);
+      return [...(sets.get(key) || [])];
+    },
+
+    // Increments an integer value, starting from 0 when the key is missing
+    async incr(key) {
+      expireIfDue(key);
+      const next = (parseInt(values.get(key), 10) || 0) + 1;
+      values.set(key, next);
+      changed();
+      return next;
+    },
+
+    async expire(key, seconds) {
+      expireIfDue(key);
+      if (!values.has(key) && !lists.has(key) && !sets.has(key)) return 0;
+      expiries.set(key, Date.now() + seconds * 1000);
+      changed();
+      return 1;
+    },
+  };
+}
+
+module.exports = { createMemoryAdapter };
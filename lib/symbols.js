@@ -0,0 +1,57 @@
+// Ticker suggestions for slash command autocomplete, from the bundled list in
+// assets/symbols.json
+const SYMBOLS = require('../assets/symbols.json');
+
+// Discord accepts at most 25 autocomplete choices
+const MAX_SUGGESTIONS = 25;
+
+/**
+ * How well an entry matches the upper-cased query, lower is better: exact
+ * symbol, symbol prefix, name word prefix, symbol substring, name substring.
+ * Returns null when it does not match at all.
+ */
+function matchTier(entry, query) {
+  if (!query) return 0;
+  const name = (entry.name || '').toUpperCase();
+  if (entry.symbol === query) return 0;
+  if (entry.symbol.startsWith(query)) return 1;
+  if (name.split(/[\s&.,-]+/).some((word) => word.startsWith(query))) return 2;
+  if (entry.symbol.includes(query)) return 3;
+  if (name.includes(query)) return 4;
+  return null;
+}
+
+/**
+ * Ranked suggestions for a partially typed symbol: { symbol, name }[].
+ * Recently used tickers (newest first) that match come before everything
+ * else; the rest are ordered by match tier, then by their position in the
+ * bundled list, which is roughly by popularity.
+ */
+function suggestSymbols(input, recent = [], limit = MAX_SUGGESTIONS) {
+  const query = String(input || '').trim().toUpperCase();
+  const known = new Map(SYMBOLS.map((entry) => [entry.symbol, entry]));
+  const recentEntries = recent.map((symbol) => known.get(symbol) || { symbol, name: null });
+  const ranked = (entries) =>
+    entries
+      .map((entry, index) => ({ entry, index, tier: matchTier(entry, query) }))
+      .filter((item) => item.tier !== null)
+      .sort((a, b) => a.tier - b.tier || a.index - b.index)
+      .map((item) => item.entry);
+
+  const seen = new Set();
+  return [...ranked(recentEntries), ...ranked(SYMBOLS)]
+    .filter((entry) => !seen.has(entry.symbol) && seen.add(entry.symbol))
+    .slice(0, limit);
+}
+
+// Autocomplete choice for an entry; Discord caps choice names at 100 characters
+function toChoice(entry) {
+  const name = entry.name ? `${entry.symbol} — ${entry.name}` : entry.symbol;
+  return { name: name.slice(0, 100), value: entry.symbol };
+}
+
+module.exports = {
+  MAX_SUGGESTIONS,
+  suggestSymbols,
+  toChoice,
+};
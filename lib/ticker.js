@@ -0,0 +1,116 @@
+// Ticker price history for /ticker and /api/fetchData
+const { getProvider } = require('./providers');
+const { logDebug } = require('./log');
+
+// periodsPerYear is the number of bars per year, used to annualize volatility
+const RANGE_OPTIONS = {
+  '1d': { range: '1d', interval: '1m', intraday: true, periodsPerYear: 390 * 252 },
+  '1mo': { range: '1mo', interval: '5m', intraday: true, periodsPerYear: 78 * 252 },
+  '1y': { range: '1y', interval: '1d', periodsPerYear: 252 },
+  '3y': { range: '3y', interval: '1wk', periodsPerYear: 52 },
+  '10y': { range: '10y', interval: '1mo', periodsPerYear: 12 },
+};
+
+function formatLabel(timestamp, selectedRange) {
+  const dateObj = new Date(timestamp * 1000);
+  const options = { timeZone: 'America/New_York' };
+
+  if (selectedRange === '1d') {
+    options.hour = '2-digit';
+    options.minute = '2-digit';
+    options.hour12 = true;
+    return dateObj.toLocaleString('en-US', options);
+  }
+  if (selectedRange === '1mo') {
+    options.month = 'short';
+    options.day = 'numeric';
+    options.hour = '2-digit';
+    options.minute = '2-digit';
+    options.hour12 = true;
+    return dateObj.toLocaleString('en-US', options);
+  }
+  options.month = 'short';
+  options.day = 'numeric';
+  options.year = 'numeric';
+  return dateObj.toLocaleDateString('en-US', options);
+}
+
+// Averages 10y data into one point per month
+function aggregateMonthly(entries) {
+  const monthlyMap = {};
+  entries.forEach((entry) => {
+    const dateObj = new Date(entry.timestamp * 1000);
+    if (dateObj && !isNaN(dateObj.getTime())) {
+      const monthKey = `${dateObj.getFullYear()}-${String(dateObj.getMonth() + 1).padStart(2, '0')}`;
+      if (!monthlyMap[monthKey]) {
+        const monthLabel = dateObj.toLocaleDateString('en-US', {
+          month: 'short',
+          year: 'numeric',
+          timeZone: 'America/New_York',
+        });
+        monthlyMap[monthKey] = { sum: 0, count: 0, label: monthLabel };
+      }
+      monthlyMap[monthKey].sum += entry.price;
+      monthlyMap[monthKey].count += 1;
+    }
+  });
+  return Object.keys(monthlyMap)
+    .sort()
+    .map((monthKey) => {
+      const avgPrice = monthlyMap[monthKey].sum / monthlyMap[monthKey].count;
+      return {
+        date: monthlyMap[monthKey].label,
+        price: parseFloat(avgPrice).toFixed(2),
+      };
+    });
+}
+
+/**
+ * Fetches price history for `ticker` over one of the /ticker timeframes
+ * (1d, 1mo, 1y, 3y, 10y; anything else falls back to 1d).
+ */
+async function fetchTickerFinancialData(ticker, range, provider = getProvider()) {
+  try {
+    const selectedRange = RANGE_OPTIONS[range] ? range : '1d';
+    const { range: providerRange, interval, intraday } = RANGE_OPTIONS[selectedRange];
+
+    const series = intraday
+      ? await provider.getIntraday(ticker, { range: providerRange, interval })
+      : await provider.getDailyCloses(ticker, { range: providerRange, interval });
+
+    if (series.lastPrice === undefined) {
+      throw new Error('Invalid ticker symbol or data unavailable.');
+    }
+    const currentPrice = parseFloat(series.lastPrice).toFixed(2);
+
+    const validHistoricalEntries = series.points
+      .filter((pt) => pt.timestamp != null && typeof pt.close === 'number')
+      .map((pt) => ({ timestamp: pt.timestamp, price: pt.close }));
+
+    let aggregatedData = validHistoricalEntries.map((entry) => ({
+      date: formatLabel(entry.timestamp, selectedRange),
+      price: entry.price,
+    }));
+    if (selectedRange === '10y' && validHistoricalEntries.length > 0) {
+      logDebug(`Aggregating 10y data for ${ticker}...`);
+      aggregatedData = aggregateMonthly(validHistoricalEntries);
+      logDebug(`Aggregated into ${aggregatedData.length} points.`);
+    }
+
+    return {
+      ticker: ticker.toUpperCase(),
+      currentPrice: `$${currentPrice}`,
+      historicalData: aggregatedData.map((d) => ({
+        ...d,
+        price: String(d.price),
+      })),
+      selectedRange: selectedRange.toUpperCase(),
+      source: provider.label,
+    };
+  } catch (error) {
+    console.error('Error fetching financial data for /ticker:', error);
+    throw new Error(error.message || 'Failed to fetch financial data.');
+  }
+}
+
+module.exports = { RANGE_OPTIONS, fetchTickerFinancialData };
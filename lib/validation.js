@@ -0,0 +1,155 @@
+// Data-quality checks on the market data behind the allocation signal, so a
+// stale feed or one bad print never moves the allocation
+const { easternDate, latestSession, sessionsBetween } = require('./calendar');
+
+// Today's bar may not exist yet right after the open
+const STALE_GRACE_MINUTES = 30;
+// ^IRX does not update on bond market holidays, when the NYSE can be open
+const MAX_RATE_LAG_SESSIONS = 2;
+// Share of fetched bars allowed to have no close; they are skipped, but many
+// gaps mean a broken feed
+const MAX_MISSING_SHARE = 0.05;
+// A SPY move is an outlier when it is at least this large and this many
+// standard deviations of the returns before it
+const SPY_OUTLIER_MIN_MOVE = 0.05;
+const SPY_OUTLIER_SIGMAS = 8;
+const OUTLIER_BASELINE = 60;
+// Largest plausible one-day ^IRX change and level, in percentage points
+const RATE_OUTLIER_MOVE = 1;
+const RATE_RANGE = { min: -1, max: 25 };
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function stdev(values) {
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  return Math.sqrt(values.reduce((s, v) => s + Math.pow(v - mean, 2), 0) / values.length);
+}
+
+function barDate(point) {
+  return easternDate(new Date(point.timestamp * 1000));
+}
+
+function checkMissing(problems, label, points) {
+  const missing = points.filter((pt) => !isNumber(pt.close)).length;
+  if (points.length > 0 && missing / points.length > MAX_MISSING_SHARE) {
+    problems.push({ check: 'missing', message: `${label}: ${missing} of ${points.length} bars have no close` });
+  }
+}
+
+// Flags SPY returns over the volatility window that dwarf the ones before
+function checkSpyOutliers(problems, bars, window) {
+  const returns = bars.slice(1).map((bar, i) => bar.close / bars[i].close - 1);
+  for (let i = Math.max(returns.length - window, 1); i < returns.length; i++) {
+    const baseline = returns.slice(Math.max(0, i - OUTLIER_BASELINE), i);
+    const move = Math.abs(returns[i]);
+    if (move >= SPY_OUTLIER_MIN_MOVE && (baseline.length < 2 || move > SPY_OUTLIER_SIGMAS * stdev(baseline))) {
+      problems.push({
+        check: 'outlier',
+        message: `SPY moved ${(returns[i] * 100).toFixed(1)}% on ${barDate(bars[i + 1])}`,
+      });
+    }
+  }
+}
+
+function checkRateOutliers(problems, bars, lookback) {
+  const recent = bars.slice(-(lookback + 1));
+  const outOfRange = recent.find((bar) => bar.close < RATE_RANGE.min || bar.close > RATE_RANGE.max);
+  if (outOfRange) {
+    problems.push({
+      check: 'outlier',
+      message: `^IRX at ${outOfRange.close}% on ${barDate(outOfRange)} is outside the plausible range`,
+    });
+  }
+  for (let i = 1; i < recent.length; i++) {
+    const move = recent[i].close - recent[i - 1].close;
+    if (Math.abs(move) > RATE_OUTLIER_MOVE) {
+      problems.push({
+        check: 'outlier',
+        message: `^IRX moved ${move.toFixed(3)} pts on ${barDate(recent[i])}`,
+      });
+    }
+  }
+}
+
+/**
+ * Validates the raw series behind fetchCheckFinancialData before any signal
+ * is computed from them. `spyPoints` and `ratePoints` are the provider's
+ * points (oldest first) and `volWindow` the number of returns behind the
+ * volatility. Checks, each reported under its `check` name:
+ *
+ * - stale: the last SPY bar is older than the latest session (allowing
+ *   STALE_GRACE_MINUTES after the open) or ^IRX lags more than
+ *   MAX_RATE_LAG_SESSIONS sessions. Skipped with `checkStaleness: false`.
+ * - missing: too many bars without a close.
+ * - history: fewer SPY closes than the SMA length or ^IRX closes than the
+ *   treasury lookback needs.
+ * - outlier: implausible one-bar moves in SPY over the volatility window or
+ *   in ^IRX over the treasury lookback.
+ *
+ * Returns { ok, problems: [{ check, message }] }.
+ */
+function validateSeries({
+  spyPoints,
+  ratePoints,
+  params,
+  volWindow,
+  now = new Date(),
+  checkStaleness = true,
+}) {
+  const problems = [];
+  const prices = spyPoints.filter((pt) => isNumber(pt.close));
+  const rates = ratePoints.filter((pt) => isNumber(pt.close));
+
+  if (checkStaleness) {
+    const expected = latestSession(new Date(now.getTime() - STALE_GRACE_MINUTES * 60 * 1000));
+    const spyLast = prices[prices.length - 1];
+    const rateLast = rates[rates.length - 1];
+    if (expected && spyLast && barDate(spyLast) < expected.date) {
+      problems.push({
+        check: 'stale',
+        message: `Last SPY close is from ${barDate(spyLast)}, expected ${expected.date}`,
+      });
+    }
+    if (expected && rateLast && sessionsBetween(barDate(rateLast), expected.date) > MAX_RATE_LAG_SESSIONS) {
+      problems.push({
+        check: 'stale',
+        message: `Last ^IRX close is from ${barDate(rateLast)}, expected ${expected.date}`,
+      });
+    }
+  }
+
+  checkMissing(problems, 'SPY', spyPoints.slice(-params.smaLength));
+  checkMissing(problems, '^IRX', ratePoints);
+
+  if (prices.length < params.smaLength) {
+    problems.push({
+      check: 'history',
+      message: `${prices.length} SPY closes, the ${params.smaLength}-day SMA needs ${params.smaLength}`,
+    });
+  }
+  if (rates.length < params.treasuryLookback + 1) {
+    problems.push({
+      check: 'history',
+      message: `${rates.length} ^IRX closes, the ${params.treasuryLookback}-day lookback needs ${params.treasuryLookback + 1}`,
+    });
+  }
+
+  checkSpyOutliers(problems, prices, volWindow);
+  checkRateOutliers(problems, rates, params.treasuryLookback);
+
+  return { ok: problems.length === 0, problems };
+}
+
+// Problems for computeSignalData outputs that are not numbers
+function validateSignals(signals) {
+  return ['spy', 'sma220', 'volatility', 'treasuryRate', 'treasuryRateChange']
+    .filter((key) => !isNumber(parseFloat(signals[key])))
+    .map((key) => ({ check: 'missing', message: `${key} is ${signals[key]}` }));
+}
+
+module.exports = {
+  validateSeries,
+  validateSignals,
+};
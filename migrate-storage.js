@@ -0,0 +1,14 @@
+// One-off migration of stored allocations to the structured format.
+// Usage: node migrate-storage.js
+const { migrateAllocations } = require('./storage');
+
+(async () => {
+  try {
+    const { lastAllocation, historyEntries } = await migrateAllocations();
+    console.log('lastAllocation:', JSON.stringify(lastAllocation));
+    console.log(`Migrated ${historyEntries} history entries.`);
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exitCode = 1;
+  }
+})();
@@ -0,0 +1,42 @@
+// Records Yahoo Finance data into fixtures/ for DATA_PROVIDER=fixture.
+// Usage: node record-fixtures.js [SYMBOL ...]
+const fs = require('fs');
+const path = require('path');
+const yahoo = require('./lib/providers/yahoo');
+
+const DEFAULT_SYMBOLS = ['SPY', '^IRX', 'UPRO', 'SSO', 'ZROZ'];
+const dir = process.env.FIXTURE_DIR || path.join(__dirname, 'fixtures');
+
+function fileBase(symbol) {
+  return path.join(dir, symbol.toUpperCase().replace(/[^A-Z0-9.-]/g, ''));
+}
+
+(async () => {
+  const symbols = process.argv.length > 2 ? process.argv.slice(2) : DEFAULT_SYMBOLS;
+  fs.mkdirSync(dir, { recursive: true });
+
+  for (const symbol of symbols) {
+    try {
+      const daily = await yahoo.getDailyCloses(symbol, {
+        range: '10y',
+        adjusted: symbol !== '^IRX',
+      });
+      const rows = daily.points
+        .filter((pt) => pt.close !== null)
+        .map((pt) => ({
+          date: new Date(pt.timestamp * 1000).toISOString().slice(0, 10),
+          close: pt.close,
+        }));
+      fs.writeFileSync(`${fileBase(symbol)}.json`, JSON.stringify(rows));
+
+      const intraday = await yahoo.getIntraday(symbol, { range: '1mo', interval: '5m' });
+      fs.writeFileSync(
+        `${fileBase(symbol)}.intraday.json`,
+        JSON.stringify(intraday.points.filter((pt) => pt.close !== null))
+      );
+      console.log(`Recorded ${symbol}: ${rows.length} daily, ${intraday.points.length} intraday bars`);
+    } catch (error) {
+      console.error(`Failed to record ${symbol}:`, error.message);
+    }
+  }
+})();
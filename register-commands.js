@@ -1,63 +1,132 @@
-const { REST, Routes } = require('discord.js');
-require('dotenv').config();
-
-// Define the commands
-const commands = [
-    {
-        name: 'hi',
-        description: 'Say hello!',
-    },
-    {
-        name: 'check',
-        description: 'Run the Market Financial Evaluation Assistant (MFEA) analysis.',
-    },
-    {
-        name: 'ticker',
-        description: 'Fetch and display financial data for a specific ticker and timeframe.',
-        options: [
-            {
-                name: 'symbol',
-                type: 3, // STRING type
-                description: 'The stock ticker symbol (e.g., AAPL, GOOGL)',
-                required: true,
-            },
-            {
-                name: 'timeframe',
-                type: 3, // STRING type
-                description: 'The timeframe for the chart (1d, 1mo, 1y, 3y, 10y)',
-                required: true,
-                choices: [
-                    { name: '1 Day', value: '1d' },
-                    { name: '1 Month', value: '1mo' },
-                    { name: '1 Year', value: '1y' },
-                    { name: '3 Years', value: '3y' },
-                    { name: '10 Years', value: '10y' },
-                ],
-            },
-        ],
-    },
-    {
-        name: 'test',
-        description: 'Run allocation change check.'
-    },
-];
-
-// Create a REST instance and set the token
-const rest = new REST({ version: '10' }).setToken(process.env.DISCORD_BOT_TOKEN);
-
-// Register the commands
-(async () => {
-    try {
-        console.log('Started refreshing application (/) commands.');
-
-        // Use applicationCommands for global commands
-        await rest.put(
-            Routes.applicationCommands(process.env.APPLICATION_ID),
-            { body: commands }
+// Registers the slash commands from lib/commands with Discord.
+//
+//   node --env-file=.env register-commands.js [--guild <id> | --global] [--dry-run]
+//
+// Without --guild the commands are registered globally; with --guild (or
+// DEV_GUILD_ID) only in that server, where changes show up immediately. The
+// diff against what is already registered is printed first, and --dry-run
+// stops there.
+const axios = require('axios');
+const { commandDefinitions } = require('./lib/commands');
+
+const API_BASE = 'https://discord.com/api/v10';
+
+function parseArgs(argv) {
+    const args = { guildId: process.env.DEV_GUILD_ID || null, dryRun: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--dry-run') args.dryRun = true;
+        else if (argv[i] === '--global') args.guildId = null;
+        else if (argv[i] === '--guild') args.guildId = argv[++i];
+        else if (argv[i].startsWith('--guild=')) args.guildId = argv[i].slice('--guild='.length);
+        else throw new Error(`Unknown argument ${argv[i]}`);
+    }
+    if (args.guildId === undefined || args.guildId === '') {
+        throw new Error('--guild needs a server ID');
+    }
+    return args;
+}
+
+// Fields Discord echoes back, with its defaults filled in so that a
+// definition and the registered command compare equal when nothing changed
+function normalizeOption(option) {
+    return {
+        type: option.type,
+        name: option.name,
+        description: option.description,
+        required: !!option.required,
+        autocomplete: !!option.autocomplete,
+        choices: (option.choices || []).map((c) => ({ name: c.name, value: c.value })),
+        channel_types: option.channel_types || [],
+        min_value: option.min_value ?? null,
+        max_value: option.max_value ?? null,
+        options: (option.options || []).map(normalizeOption),
+    };
+}
+
+function normalizeCommand(command, guildScoped) {
+    const normalized = {
+        type: command.type || 1,
+        name: command.name,
+        description: command.description,
+        options: (command.options || []).map(normalizeOption),
+        default_member_permissions: command.default_member_permissions ?? null,
+    };
+    // dm_permission only applies to global commands
+    if (!guildScoped) normalized.dm_permission = command.dm_permission ?? true;
+    return normalized;
+}
+
+/**
+ * Compares local definitions with the registered commands by name. Returns
+ * { added, removed, changed: [{ name, fields }], unchanged } where `fields`
+ * are the top-level fields that differ.
+ */
+function diffCommands(local, remote, guildScoped) {
+    const remoteByName = new Map(remote.map((c) => [c.name, normalizeCommand(c, guildScoped)]));
+    const localNames = new Set(local.map((c) => c.name));
+    const diff = { added: [], removed: [], changed: [], unchanged: [] };
+
+    local.forEach((command) => {
+        const current = remoteByName.get(command.name);
+        if (!current) {
+            diff.added.push(command.name);
+            return;
+        }
+        const wanted = normalizeCommand(command, guildScoped);
+        const fields = Object.keys(wanted).filter(
+            (key) => JSON.stringify(wanted[key]) !== JSON.stringify(current[key])
         );
+        if (fields.length) diff.changed.push({ name: command.name, fields });
+        else diff.unchanged.push(command.name);
+    });
+    diff.removed = remote.map((c) => c.name).filter((name) => !localNames.has(name));
+    return diff;
+}
 
-        console.log('Successfully reloaded application (/) commands.');
-    } catch (error) {
-        console.error(error);
+function printDiff(diff) {
+    diff.added.forEach((name) => console.log(`  + /${name}`));
+    diff.changed.forEach(({ name, fields }) => console.log(`  ~ /${name} (${fields.join(', ')})`));
+    diff.removed.forEach((name) => console.log(`  - /${name}`));
+    console.log(
+        `${diff.added.length} added, ${diff.changed.length} changed, ` +
+            `${diff.removed.length} removed, ${diff.unchanged.length} unchanged`
+    );
+}
+
+async function main() {
+    const { guildId, dryRun } = parseArgs(process.argv.slice(2));
+    const { DISCORD_BOT_TOKEN, APPLICATION_ID } = process.env;
+    if (!DISCORD_BOT_TOKEN || !APPLICATION_ID) {
+        throw new Error('DISCORD_BOT_TOKEN and APPLICATION_ID must be set');
+    }
+
+    const url = guildId
+        ? `${API_BASE}/applications/${APPLICATION_ID}/guilds/${guildId}/commands`
+        : `${API_BASE}/applications/${APPLICATION_ID}/commands`;
+    const headers = { Authorization: `Bot ${DISCORD_BOT_TOKEN}` };
+    const commands = commandDefinitions();
+
+    console.log(`Comparing with commands registered ${guildId ? `in guild ${guildId}` : 'globally'}:`);
+    const { data: registered } = await axios.get(url, { headers });
+    const diff = diffCommands(commands, registered, !!guildId);
+    printDiff(diff);
+
+    if (!diff.added.length && !diff.changed.length && !diff.removed.length) {
+        console.log('Already up to date.');
+        return;
+    }
+    if (dryRun) {
+        console.log('Dry run, nothing registered.');
+        return;
     }
-})();
+
+    // Bulk overwrite: commands missing from the list are deleted
+    const { data } = await axios.put(url, commands, { headers });
+    console.log(`Registered ${data.length} commands.`);
+}
+
+main().catch((error) => {
+    const detail = error.response ? JSON.stringify(error.response.data) : error.message;
+    console.error('Error registering commands:', detail);
+    process.exitCode = 1;
+});
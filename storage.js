@@ -1,84 +1,609 @@
-// Support using Upstash environment variables if the Vercel KV ones are not set
-if (!process.env.KV_REST_API_URL && process.env.UPSTASH_REDIS_REST_URL) {
-  process.env.KV_REST_API_URL = process.env.UPSTASH_REDIS_REST_URL;
-}
-if (!process.env.KV_REST_API_TOKEN && process.env.UPSTASH_REDIS_REST_TOKEN) {
-  process.env.KV_REST_API_TOKEN = process.env.UPSTASH_REDIS_REST_TOKEN;
-}
-
-const { kv } = require('@vercel/kv');
+const crypto = require('crypto');
+const { createAdapter } = require('./lib/storage');
+const { normalizeAllocation } = require('./lib/allocation');
+const { DEFAULT_PREFS, normalizePrefs } = require('./lib/notify');
+const { normalizePolicy } = require('./lib/permissions');
 
 const LAST_KEY = 'lastAllocation';
+const FACTOR_STATE_KEY = 'factorState';
 const HISTORY_KEY = 'allocationHistory';
 const SUBSCRIBERS_KEY = 'allocationSubscribers';
+const WARNING_SUBSCRIBERS_KEY = 'warningSubscribers';
+const WARNED_FACTORS_KEY = 'warnedFactors';
+const NOTIFY_PREFS_PREFIX = 'notifyPrefs:';
+const ALERT_DESTINATION_PREFIX = 'alertDestination:';
+const ALERT_GUILDS_KEY = 'alertGuilds';
+// Destination id of the DISCORD_WEBHOOK_URL channel; guild destinations use the guild id
+const DEFAULT_DESTINATION = 'default';
+const GUILD_CONFIG_PREFIX = 'guildConfig:';
+// Guilds with parameter overrides, whose band state the scheduled check advances
+const CONFIGURED_GUILDS_KEY = 'configuredGuilds';
+const PERMISSION_POLICY_PREFIX = 'permissionPolicy:';
+const PORTFOLIO_PREFIX = 'portfolio:';
+const DRIFT_ALERT_USERS_KEY = 'portfolioDriftAlertUsers';
+const RECENT_TICKERS_KEY = 'recentTickers';
+const MAX_RECENT_TICKERS = 10;
+const RATE_LIMIT_PREFIX = 'rateLimit:';
+const LOCK_PREFIX = 'lock:';
+const NOTIFICATION_PREFIX = 'notified:';
+
+// Backend chosen by lib/storage (KV, local JSON file or in-memory)
+let store = null;
+
+function getStore() {
+  if (!store) {
+    store = createAdapter();
+  }
+  return store;
+}
 
+// Swaps the backend, e.g. for an in-memory adapter in offline runs
+function setStore(adapter) {
+  store = adapter;
+}
+
+// Last allocation as { category, weights }; legacy strings are migrated on read
 async function readAllocation() {
   try {
-    const value = await kv.get(LAST_KEY);
-    return typeof value === 'string' ? value : null;
+    return normalizeAllocation(await getStore().get(LAST_KEY));
+  } catch (err) {
+    console.error('[storage] read allocation', err);
+    return null;
+  }
+}
+
+async function updateAllocation(allocation) {
+  try {
+    await getStore().set(LAST_KEY, JSON.stringify(allocation));
+  } catch (err) {
+    console.error('[storage] update allocation', err);
+  }
+}
+
+function factorStateKey(guildId) {
+  return guildId ? `${FACTOR_STATE_KEY}:${guildId}` : FACTOR_STATE_KEY;
+}
+
+// Effective band factor states ({ effSpy, effVol14, effVol24, effTreas })
+// from the last allocation check, used for hysteresis. Without `guildId` this
+// is the state under the default parameters; guilds with their own
+// parameters keep theirs under factorState:<guildId>. The scheduled check
+// advances both.
+async function readFactorState(guildId) {
+  try {
+    const value = await getStore().get(factorStateKey(guildId));
+    if (typeof value === 'string') return JSON.parse(value);
+    return value && typeof value === 'object' ? value : null;
   } catch (err) {
-    console.error('[storage] read kv', err);
+    console.error('[storage] read factor state', err);
     return null;
   }
 }
 
-async function updateAllocation(value) {
+async function updateFactorState(state, guildId) {
+  try {
+    await getStore().set(factorStateKey(guildId), JSON.stringify(state));
+  } catch (err) {
+    console.error('[storage] update factor state', err);
+  }
+}
+
+/**
+ * Records an allocation change. `details` carries the signal inputs and model
+ * outputs behind it (see buildSnapshotDetails in allocationCron.js).
+ */
+async function storeSnapshot(allocation, details = {}) {
   try {
-    await kv.set(LAST_KEY, value);
+    const entry = JSON.stringify({
+      ...details,
+      allocation,
+      timestamp: new Date().toISOString(),
+    });
+    await getStore().lpush(HISTORY_KEY, entry);
   } catch (err) {
-    console.error('[storage] update kv', err);
+    console.error('[storage] snapshot', err);
+  }
+}
+
+/**
+ * Normalizes a stored history entry. Older entries are bare allocation strings
+ * or `{ allocation, timestamp }` objects without signal data; those come back
+ * with `signals` set to null. Allocations are returned in structured form.
+ */
+function normalizeHistoryEntry(raw) {
+  let value = raw;
+  if (typeof value === 'string') {
+    try {
+      value = JSON.parse(value);
+    } catch (e) {
+      // Bare allocation string from before entries were JSON
+    }
+  }
+  if (typeof value === 'string') {
+    const allocation = normalizeAllocation(value);
+    return allocation ? { allocation, timestamp: null, signals: null } : null;
+  }
+  if (!value || !value.allocation) return null;
+  const allocation = normalizeAllocation(value.allocation);
+  if (!allocation) return null;
+  const normalized = { signals: null, ...value, allocation };
+  if (value.mfeaAllocation) {
+    normalized.mfeaAllocation = normalizeAllocation(value.mfeaAllocation);
   }
+  return normalized;
 }
 
-async function storeSnapshot(allocation) {
+// Allocation history entries, newest first
+async function readHistory() {
   try {
-    const entry = JSON.stringify({ allocation, timestamp: new Date().toISOString() });
-    await kv.lpush(HISTORY_KEY, entry);
+    const entries = await getStore().lrange(HISTORY_KEY, 0, -1);
+    return (entries || []).map(normalizeHistoryEntry).filter((entry) => entry);
   } catch (err) {
-    console.error('[storage] kv snapshot', err);
+    console.error('[storage] read history', err);
+    return [];
+  }
+}
+
+/**
+ * Rewrites `lastAllocation` and every history entry in the structured
+ * allocation format. Reads already migrate on the fly; this makes the stored
+ * data match. Entries that cannot be parsed are kept as they are.
+ */
+async function migrateAllocations() {
+  const db = getStore();
+  const last = await db.get(LAST_KEY);
+  const lastAllocation = normalizeAllocation(last);
+  if (lastAllocation) {
+    await db.set(LAST_KEY, JSON.stringify(lastAllocation));
   }
+
+  const raw = (await db.lrange(HISTORY_KEY, 0, -1)) || [];
+  const migrated = raw.map((entry) => {
+    const normalized = normalizeHistoryEntry(entry);
+    if (!normalized) return entry;
+    return JSON.stringify(normalized);
+  });
+  await db.del(HISTORY_KEY);
+  // lpush prepends, so push oldest first to keep newest-first order
+  for (let i = migrated.length - 1; i >= 0; i--) {
+    await db.lpush(HISTORY_KEY, migrated[i]);
+  }
+  return { lastAllocation, historyEntries: migrated.length };
 }
 
-async function getSubscribers() {
+async function readMembers(key) {
   try {
-    const ids = await kv.smembers(SUBSCRIBERS_KEY);
+    const ids = await getStore().smembers(key);
     return Array.isArray(ids) ? ids : [];
   } catch (err) {
-    console.error('[storage] get subscribers', err);
+    console.error('[storage] get members', key, err);
     return [];
   }
 }
 
-async function toggleSubscriber(id) {
+// Stored preference record of a user, or null when there is none
+async function readNotifyRecord(userId) {
+  const value = await getStore().get(NOTIFY_PREFS_PREFIX + userId);
+  const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+  return parsed && typeof parsed === 'object' ? parsed : null;
+}
+
+/**
+ * A user's notification preferences (see lib/notify.js) for one alert
+ * destination. Delivery and quiet hours apply everywhere; the events are
+ * stored per destination, under `events` keyed by destination id. Records
+ * from before that keep one `events` list for every destination, and users
+ * without a record get one derived from the older subscriber sets:
+ * allocation changes for `allocationSubscribers`, early warnings for
+ * `warningSubscribers`.
+ */
+async function readNotifyPrefs(userId, destinationId = DEFAULT_DESTINATION) {
+  try {
+    const record = await readNotifyRecord(userId);
+    if (record) {
+      const events = Array.isArray(record.events)
+        ? record.events
+        : (record.events || {})[destinationId];
+      return normalizePrefs({ ...record, events });
+    }
+    const [subscribers, warned] = await Promise.all([
+      readMembers(SUBSCRIBERS_KEY),
+      readMembers(WARNING_SUBSCRIBERS_KEY),
+    ]);
+    return normalizePrefs({
+      ...DEFAULT_PREFS,
+      events: [
+        ...(subscribers.includes(userId) ? ['allocation'] : []),
+        ...(warned.includes(userId) ? ['warning'] : []),
+      ],
+    });
+  } catch (err) {
+    console.error('[storage] read notify prefs', err);
+    return normalizePrefs(DEFAULT_PREFS);
+  }
+}
+
+// Subscriber set of an alert destination: the DISCORD_WEBHOOK_URL channel
+// keeps the original `allocationSubscribers` key, guild channels get their own
+function subscribersKey(destinationId) {
+  return !destinationId || destinationId === DEFAULT_DESTINATION
+    ? SUBSCRIBERS_KEY
+    : `${SUBSCRIBERS_KEY}:${destinationId}`;
+}
+
+// Events per destination of a record; a single older list is copied to every
+// destination the user follows, so splitting it changes nothing
+async function eventsByDestination(userId, record) {
+  if (!record || !Array.isArray(record.events)) return { ...((record && record.events) || {}) };
+  const ids = [DEFAULT_DESTINATION, ...(await listAlertGuilds())];
+  const byDestination = {};
+  for (const id of ids) {
+    if ((await listNotifyUsers(id)).includes(userId)) byDestination[id] = record.events;
+  }
+  return byDestination;
+}
+
+/**
+ * Saves preferences, with `prefs.events` applying to `destinationId` only.
+ * The user joins the destination's subscriber set while any event is on
+ * there and leaves it when all are off.
+ */
+async function updateNotifyPrefs(userId, prefs, destinationId = DEFAULT_DESTINATION) {
   try {
-    const members = await getSubscribers();
-    if (members.includes(id)) {
-      await kv.srem(SUBSCRIBERS_KEY, id);
-      return false;
+    const db = getStore();
+    const normalized = normalizePrefs(prefs);
+    const events = await eventsByDestination(userId, await readNotifyRecord(userId));
+    events[destinationId] = normalized.events;
+    await db.set(NOTIFY_PREFS_PREFIX + userId, JSON.stringify({ ...normalized, events }));
+    if (normalized.events.length > 0) {
+      await db.sadd(subscribersKey(destinationId), userId);
+    } else {
+      await db.srem(subscribersKey(destinationId), userId);
+    }
+    // Early warnings now live in the record
+    await db.srem(WARNING_SUBSCRIBERS_KEY, userId);
+    return normalized;
+  } catch (err) {
+    console.error('[storage] update notify prefs', err);
+    return null;
+  }
+}
+
+// Subscribers of one destination; the default one includes the older warning set
+async function listNotifyUsers(destinationId = DEFAULT_DESTINATION) {
+  const key = subscribersKey(destinationId);
+  if (key !== SUBSCRIBERS_KEY) return readMembers(key);
+  const [subscribers, warned] = await Promise.all([
+    readMembers(SUBSCRIBERS_KEY),
+    readMembers(WARNING_SUBSCRIBERS_KEY),
+  ]);
+  return [...new Set([...subscribers, ...warned])];
+}
+
+/**
+ * Turns one event type on or off for the user at a destination; true when
+ * now enabled. A user not subscribed there starts from no events, so events
+ * they turned off with Stop Pings do not come back.
+ */
+async function toggleNotifyEvent(userId, event, destinationId = DEFAULT_DESTINATION) {
+  const [prefs, members] = await Promise.all([
+    readNotifyPrefs(userId, destinationId),
+    listNotifyUsers(destinationId),
+  ]);
+  const current = members.includes(userId) ? prefs.events : [];
+  const enabled = !current.includes(event);
+  const others = current.filter((e) => e !== event);
+  await updateNotifyPrefs(userId, { ...prefs, events: enabled ? [...others, event] : others }, destinationId);
+  return enabled;
+}
+
+function toggleSubscriber(id, destinationId = DEFAULT_DESTINATION) {
+  return toggleNotifyEvent(id, 'allocation', destinationId);
+}
+
+function toggleWarningSubscriber(id, destinationId = DEFAULT_DESTINATION) {
+  return toggleNotifyEvent(id, 'warning', destinationId);
+}
+
+// Turns every event off for the user at one destination
+async function removeSubscriber(id, destinationId = DEFAULT_DESTINATION) {
+  const prefs = await readNotifyPrefs(id, destinationId);
+  return (await updateNotifyPrefs(id, { ...prefs, events: [] }, destinationId)) !== null;
+}
+
+/**
+ * Alert destination set with /setup for a guild:
+ * { channelId, webhookUrl, lastError }. `webhookUrl` is null when the bot
+ * posts to the channel itself; `lastError` holds the last delivery failure.
+ */
+async function readAlertDestination(guildId) {
+  try {
+    const value = await getStore().get(ALERT_DESTINATION_PREFIX + guildId);
+    const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+    return parsed && typeof parsed === 'object' ? parsed : null;
+  } catch (err) {
+    console.error('[storage] read alert destination', err);
+    return null;
+  }
+}
+
+// Saves or (with null) removes a guild's destination and keeps the guild index in step
+async function updateAlertDestination(guildId, destination) {
+  try {
+    const db = getStore();
+    if (destination) {
+      await db.set(ALERT_DESTINATION_PREFIX + guildId, JSON.stringify(destination));
+      await db.sadd(ALERT_GUILDS_KEY, guildId);
+    } else {
+      await db.del(ALERT_DESTINATION_PREFIX + guildId);
+      await db.srem(ALERT_GUILDS_KEY, guildId);
     }
-    await kv.sadd(SUBSCRIBERS_KEY, id);
     return true;
   } catch (err) {
-    console.error('[storage] toggle subscriber', err);
+    console.error('[storage] update alert destination', err);
     return false;
   }
 }
 
-async function removeSubscriber(id) {
+function listAlertGuilds() {
+  return readMembers(ALERT_GUILDS_KEY);
+}
+
+// Band factors (see bandInfo.factors) already warned about in their current excursion
+async function readWarnedFactors() {
   try {
-    await kv.srem(SUBSCRIBERS_KEY, id);
+    const value = await getStore().get(WARNED_FACTORS_KEY);
+    const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (err) {
+    console.error('[storage] read warned factors', err);
+    return [];
+  }
+}
+
+async function updateWarnedFactors(keys) {
+  try {
+    await getStore().set(WARNED_FACTORS_KEY, JSON.stringify(keys));
+  } catch (err) {
+    console.error('[storage] update warned factors', err);
+  }
+}
+
+// Per-guild strategy parameter overrides, see lib/config.js
+async function readGuildConfig(guildId) {
+  if (!guildId) return {};
+  try {
+    const value = await getStore().get(GUILD_CONFIG_PREFIX + guildId);
+    const overrides = typeof value === 'string' ? JSON.parse(value) : value;
+    if (!overrides || typeof overrides !== 'object') return {};
+    // Overrides saved before the configuredGuilds set existed join it here
+    if (Object.keys(overrides).length > 0) await getStore().sadd(CONFIGURED_GUILDS_KEY, guildId);
+    return overrides;
+  } catch (err) {
+    console.error('[storage] read guild config', err);
+    return {};
+  }
+}
+
+/**
+ * Saves a guild's overrides. The guild's band factor state is dropped, as it
+ * belonged to the old parameters: the scheduled check rebuilds it, and back
+ * on the defaults the guild follows the global state again.
+ */
+async function updateGuildConfig(guildId, overrides) {
+  try {
+    const db = getStore();
+    if (Object.keys(overrides).length === 0) {
+      await db.del(GUILD_CONFIG_PREFIX + guildId);
+      await db.srem(CONFIGURED_GUILDS_KEY, guildId);
+    } else {
+      await db.set(GUILD_CONFIG_PREFIX + guildId, JSON.stringify(overrides));
+      await db.sadd(CONFIGURED_GUILDS_KEY, guildId);
+    }
+    await db.del(factorStateKey(guildId));
+    return true;
+  } catch (err) {
+    console.error('[storage] update guild config', err);
+    return false;
+  }
+}
+
+function listConfiguredGuilds() {
+  return readMembers(CONFIGURED_GUILDS_KEY);
+}
+
+// Per-guild command access policy, see lib/permissions.js
+async function readPermissionPolicy(guildId) {
+  if (!guildId) return normalizePolicy(null);
+  try {
+    const value = await getStore().get(PERMISSION_POLICY_PREFIX + guildId);
+    return normalizePolicy(typeof value === 'string' ? JSON.parse(value) : value);
+  } catch (err) {
+    console.error('[storage] read permission policy', err);
+    return normalizePolicy(null);
+  }
+}
+
+async function updatePermissionPolicy(guildId, policy) {
+  try {
+    const normalized = normalizePolicy(policy);
+    if (normalized.adminRoles.length === 0 && Object.keys(normalized.commands).length === 0) {
+      await getStore().del(PERMISSION_POLICY_PREFIX + guildId);
+    } else {
+      await getStore().set(PERMISSION_POLICY_PREFIX + guildId, JSON.stringify(normalized));
+    }
+    return true;
+  } catch (err) {
+    console.error('[storage] update permission policy', err);
+    return false;
+  }
+}
+
+/**
+ * A user's portfolio: { holdings: { TICKER: shares }, driftThreshold, driftAlerted }.
+ * `driftThreshold` is in percentage points, null when alerts are off.
+ */
+async function readPortfolio(userId) {
+  const empty = { holdings: {}, driftThreshold: null, driftAlerted: false };
+  try {
+    const value = await getStore().get(PORTFOLIO_PREFIX + userId);
+    const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+    return parsed && typeof parsed === 'object' ? { ...empty, ...parsed } : empty;
+  } catch (err) {
+    console.error('[storage] read portfolio', err);
+    return empty;
+  }
+}
+
+// Saves a portfolio and keeps the drift alert user set in step with it
+async function updatePortfolio(userId, portfolio) {
+  try {
+    const store = getStore();
+    const hasHoldings = Object.keys(portfolio.holdings).length > 0;
+    if (!hasHoldings && portfolio.driftThreshold == null) {
+      await store.del(PORTFOLIO_PREFIX + userId);
+    } else {
+      await store.set(PORTFOLIO_PREFIX + userId, JSON.stringify(portfolio));
+    }
+    if (hasHoldings && portfolio.driftThreshold != null) {
+      await store.sadd(DRIFT_ALERT_USERS_KEY, userId);
+    } else {
+      await store.srem(DRIFT_ALERT_USERS_KEY, userId);
+    }
     return true;
   } catch (err) {
-    console.error('[storage] remove subscriber', err);
+    console.error('[storage] update portfolio', err);
     return false;
   }
 }
 
+async function getDriftAlertUsers() {
+  try {
+    const ids = await getStore().smembers(DRIFT_ALERT_USERS_KEY);
+    return Array.isArray(ids) ? ids : [];
+  } catch (err) {
+    console.error('[storage] get drift alert users', err);
+    return [];
+  }
+}
+
+// Tickers looked up with /ticker or /compare, newest first
+async function readRecentTickers() {
+  try {
+    const value = await getStore().get(RECENT_TICKERS_KEY);
+    const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (err) {
+    console.error('[storage] read recent tickers', err);
+    return [];
+  }
+}
+
+async function recordRecentTickers(symbols) {
+  try {
+    const recent = await readRecentTickers();
+    const next = [...symbols, ...recent.filter((s) => !symbols.includes(s))].slice(0, MAX_RECENT_TICKERS);
+    await getStore().set(RECENT_TICKERS_KEY, JSON.stringify(next));
+  } catch (err) {
+    console.error('[storage] record recent tickers', err);
+  }
+}
+
+/**
+ * Counts a request against a fixed window of `windowSeconds` and returns the
+ * number of requests `id` made in the current window, with the window's end
+ * as `resetAt` (ms since epoch). Each window has its own key, which expires
+ * with the window.
+ */
+async function countRequest(id, windowSeconds) {
+  const windowMs = windowSeconds * 1000;
+  const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+  const key = `${RATE_LIMIT_PREFIX}${id}:${windowStart}`;
+  const count = await getStore().incr(key);
+  if (count === 1) await getStore().expire(key, windowSeconds);
+  return { count, resetAt: windowStart + windowMs };
+}
+
+/**
+ * Takes the lock `name` for `ttlSeconds`, after which it frees itself should
+ * the holder crash. Returns a token for releaseLock, or null when someone
+ * else holds the lock. Storage errors are thrown: callers decide whether to
+ * go ahead without the lock.
+ */
+async function acquireLock(name, ttlSeconds) {
+  const token = crypto.randomUUID();
+  const result = await getStore().setnx(`${LOCK_PREFIX}${name}`, token, ttlSeconds);
+  return result ? token : null;
+}
+
+// Frees the lock if `token` still holds it, not when it expired and was retaken
+async function releaseLock(name, token) {
+  try {
+    const key = `${LOCK_PREFIX}${name}`;
+    if ((await getStore().get(key)) === token) await getStore().del(key);
+  } catch (err) {
+    console.error('[storage] release lock', err);
+  }
+}
+
+/**
+ * Records that the notification with idempotency key `key` is being sent.
+ * Returns false when it was already claimed, so the caller must not send it
+ * again. Claims expire after `ttlSeconds`.
+ */
+async function claimNotification(key, ttlSeconds) {
+  const result = await getStore().setnx(
+    `${NOTIFICATION_PREFIX}${key}`,
+    new Date().toISOString(),
+    ttlSeconds
+  );
+  return !!result;
+}
+
+// Undoes a claim when sending failed, so a retry can send it
+async function releaseNotification(key) {
+  try {
+    await getStore().del(`${NOTIFICATION_PREFIX}${key}`);
+  } catch (err) {
+    console.error('[storage] release notification', err);
+  }
+}
+
 module.exports = {
+  DEFAULT_DESTINATION,
+  getStore,
+  setStore,
   readAllocation,
   updateAllocation,
+  readFactorState,
+  updateFactorState,
   storeSnapshot,
-  getSubscribers,
+  readHistory,
+  migrateAllocations,
+  readNotifyPrefs,
+  updateNotifyPrefs,
+  listNotifyUsers,
   toggleSubscriber,
+  toggleWarningSubscriber,
   removeSubscriber,
+  readAlertDestination,
+  updateAlertDestination,
+  listAlertGuilds,
+  readWarnedFactors,
+  updateWarnedFactors,
+  readGuildConfig,
+  updateGuildConfig,
+  listConfiguredGuilds,
+  readPermissionPolicy,
+  updatePermissionPolicy,
+  readPortfolio,
+  updatePortfolio,
+  getDriftAlertUsers,
+  readRecentTickers,
+  recordRecentTickers,
+  countRequest,
+  acquireLock,
+  releaseLock,
+  claimNotification,
+  releaseNotification,
 };
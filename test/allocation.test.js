@@ -0,0 +1,72 @@
+// node --test: structured allocations and the migration of legacy values
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  allocationFor,
+  formatAllocation,
+  allocationsEqual,
+  allocationKey,
+  normalizeAllocation,
+} = require('../lib/allocation');
+const storage = require('../storage');
+const { createMemoryAdapter } = require('../lib/storage');
+
+const riskOn = { category: 'Risk On', weights: { UPRO: 1 } };
+const riskAlt = { category: 'Risk Alt', weights: { UPRO: 0.25, ZROZ: 0.75 } };
+
+test('legacy display strings are parsed into weights', () => {
+  assert.deepStrictEqual(normalizeAllocation('100% UPRO…'), riskOn);
+  assert.deepStrictEqual(normalizeAllocation('25% UPRO + 75% ZROZ'), riskAlt);
+  assert.deepStrictEqual(normalizeAllocation('50% SPY + 50% TLT'), {
+    category: null,
+    weights: { SPY: 0.5, TLT: 0.5 },
+  });
+});
+
+test('structured values and their JSON pass through', () => {
+  assert.deepStrictEqual(normalizeAllocation(JSON.stringify(riskAlt)), riskAlt);
+  assert.deepStrictEqual(normalizeAllocation({ weights: { SSO: 1 } }), {
+    category: 'Risk Mid',
+    weights: { SSO: 1 },
+  });
+});
+
+test('unusable values normalize to null', () => {
+  assert.strictEqual(normalizeAllocation(null), null);
+  assert.strictEqual(normalizeAllocation('Unknown'), null);
+  assert.strictEqual(normalizeAllocation({ category: 'Risk On' }), null);
+});
+
+test('allocations compare and key by weights', () => {
+  assert.strictEqual(allocationsEqual(allocationFor('Risk On'), { category: 'x', weights: { UPRO: 1 } }), true);
+  assert.strictEqual(allocationsEqual(riskOn, riskAlt), false);
+  assert.strictEqual(allocationsEqual(riskOn, null), false);
+  assert.strictEqual(allocationKey({ weights: { ZROZ: 0.75, UPRO: 0.25, SPY: 0 } }), 'UPRO:25+ZROZ:75');
+  assert.strictEqual(formatAllocation(riskAlt), '25% UPRO + 75% ZROZ');
+  assert.strictEqual(formatAllocation(null), 'Unknown');
+});
+
+test('migrateAllocations rewrites legacy storage and keeps history order', async () => {
+  const db = createMemoryAdapter();
+  storage.setStore(db);
+  await db.set('lastAllocation', '25% UPRO + 75% ZROZ');
+  // lpush prepends, so the list reads newest first
+  await db.lpush('allocationHistory', '100% SPY');
+  await db.lpush('allocationHistory', JSON.stringify({ allocation: '100% UPRO…', timestamp: '2024-01-02' }));
+  await db.lpush('allocationHistory', 'not an allocation');
+
+  const result = await storage.migrateAllocations();
+
+  assert.deepStrictEqual(result, { lastAllocation: riskAlt, historyEntries: 3 });
+  assert.deepStrictEqual(JSON.parse(await db.get('lastAllocation')), riskAlt);
+  const history = await db.lrange('allocationHistory', 0, -1);
+  assert.strictEqual(history[0], 'not an allocation');
+  assert.deepStrictEqual(JSON.parse(history[1]), { signals: null, allocation: riskOn, timestamp: '2024-01-02' });
+  assert.deepStrictEqual(JSON.parse(history[2]), {
+    allocation: { category: 'Risk Off', weights: { SPY: 1 } },
+    timestamp: null,
+    signals: null,
+  });
+  assert.deepStrictEqual(await storage.readAllocation(), riskAlt);
+});
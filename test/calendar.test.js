@@ -0,0 +1,99 @@
+// node --test: NYSE holidays, early closes and session times
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  holidays,
+  halfDays,
+  tradingSession,
+  latestSession,
+  sessionsBetween,
+  marketStatus,
+  formatMarketStatus,
+} = require('../lib/calendar');
+
+const dates = (list) => list.map((h) => h.date);
+
+test('holidays of a year follow the exchange rules', () => {
+  assert.deepStrictEqual(dates(holidays(2024)), [
+    '2024-01-01',
+    '2024-01-15',
+    '2024-02-19',
+    '2024-03-29',
+    '2024-05-27',
+    '2024-06-19',
+    '2024-07-04',
+    '2024-09-02',
+    '2024-11-28',
+    '2024-12-25',
+  ]);
+});
+
+test('weekend holidays are observed on the nearest weekday', () => {
+  // New Year's Day 2023 and Juneteenth 2022 fell on a Sunday
+  assert.ok(dates(holidays(2023)).includes('2023-01-02'));
+  assert.ok(dates(holidays(2022)).includes('2022-06-20'));
+  // Independence Day 2026 falls on a Saturday
+  assert.ok(dates(holidays(2026)).includes('2026-07-03'));
+});
+
+test("New Year's Day on a Saturday is not observed", () => {
+  const list = holidays(2022);
+  assert.strictEqual(list.find((h) => h.name === "New Year's Day"), undefined);
+  assert.ok(!dates(holidays(2021)).includes('2021-12-31'));
+  assert.strictEqual(tradingSession('2021-12-31').trading, true);
+});
+
+test('Juneteenth is a holiday from 2022 only', () => {
+  assert.strictEqual(holidays(2021).find((h) => h.name === 'Juneteenth'), undefined);
+  assert.strictEqual(holidays(2023).find((h) => h.name === 'Juneteenth').date, '2023-06-19');
+});
+
+test('early closes only fall Monday to Thursday, plus the day after Thanksgiving', () => {
+  assert.deepStrictEqual(dates(halfDays(2024)), ['2024-07-03', '2024-11-29', '2024-12-24']);
+  // July 3 2026 is the observed Independence Day and Christmas Eve 2023 a Sunday
+  assert.deepStrictEqual(dates(halfDays(2026)), ['2026-11-27', '2026-12-24']);
+  assert.deepStrictEqual(dates(halfDays(2023)), ['2023-07-03', '2023-11-24']);
+});
+
+test('sessions close at 1 PM on half days and follow daylight saving time', () => {
+  const half = tradingSession('2024-07-03');
+  assert.strictEqual(half.halfDay, true);
+  assert.strictEqual(half.close.toISOString(), '2024-07-03T17:00:00.000Z');
+
+  assert.strictEqual(tradingSession('2024-03-08').open.toISOString(), '2024-03-08T14:30:00.000Z');
+  assert.strictEqual(tradingSession('2024-03-11').open.toISOString(), '2024-03-11T13:30:00.000Z');
+  assert.strictEqual(tradingSession('2024-03-11').close.toISOString(), '2024-03-11T20:00:00.000Z');
+});
+
+test('holidays and weekends have no session', () => {
+  assert.deepStrictEqual(tradingSession('2024-03-29'), {
+    date: '2024-03-29',
+    trading: false,
+    holiday: 'Good Friday',
+    halfDay: false,
+    open: null,
+    close: null,
+  });
+  assert.strictEqual(tradingSession('2024-03-30').holiday, null);
+  assert.strictEqual(tradingSession('2024-03-30').trading, false);
+});
+
+test('latestSession and sessionsBetween skip closed days', () => {
+  assert.strictEqual(latestSession(new Date('2024-03-30T16:00:00Z')).date, '2024-03-28');
+  // Before the open the previous session is the latest one
+  assert.strictEqual(latestSession(new Date('2024-04-01T13:00:00Z')).date, '2024-03-28');
+  assert.strictEqual(sessionsBetween('2024-03-28', '2024-04-01'), 1);
+  assert.strictEqual(sessionsBetween('2024-03-25', '2024-03-28'), 3);
+});
+
+test('marketStatus reports the holiday and the next open', () => {
+  const closed = marketStatus(new Date('2024-03-29T15:00:00Z'));
+  assert.strictEqual(closed.open, false);
+  assert.strictEqual(closed.next.date, '2024-04-01');
+  assert.strictEqual(formatMarketStatus(closed), '🔴 Closed (Good Friday), opens Mon, Apr 1, 9:30 AM ET');
+
+  const open = marketStatus(new Date('2024-11-29T15:00:00Z'));
+  assert.strictEqual(open.open, true);
+  assert.strictEqual(formatMarketStatus(open), '🟢 Open until 1:00 PM ET (early close)');
+});
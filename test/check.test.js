@@ -0,0 +1,95 @@
+// node --test: band hysteresis per guild for servers with their own parameters
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mfea-check-'));
+process.env.STORAGE_BACKEND = 'memory';
+process.env.DATA_PROVIDER = 'fixture';
+process.env.FIXTURE_DIR = fixtureDir;
+
+const storage = require('../storage');
+const check = require('../lib/commands/check');
+const { advanceGuildFactorStates } = require('../allocationCron');
+
+// Weekday dates up to today, oldest first
+function weekdays(count) {
+  const dates = [];
+  const day = new Date();
+  while (dates.length < count) {
+    if (day.getUTCDay() !== 0 && day.getUTCDay() !== 6) dates.unshift(day.toISOString().slice(0, 10));
+    day.setUTCDate(day.getUTCDate() - 1);
+  }
+  return dates;
+}
+
+// SPY rising from 90 to 100 over a year, then drifting to `last` over 25
+// sessions; ^IRX flat
+function writeFixtures(last) {
+  const dates = weekdays(300);
+  const rampStart = dates.length - 26;
+  const spy = dates.map((date, i) => {
+    const base = i <= rampStart ? 90 + (10 * i) / rampStart : 100 + ((last - 100) * (i - rampStart)) / 25;
+    return { date, close: base * (1 + 0.003 * (i % 2 ? 1 : -1)) };
+  });
+  const irx = dates.map((date) => ({ date, close: 4 }));
+  fs.writeFileSync(path.join(fixtureDir, 'SPY.json'), JSON.stringify(spy));
+  fs.writeFileSync(path.join(fixtureDir, 'IRX.json'), JSON.stringify(irx));
+}
+
+// Runs /check in guild g1 and returns its embed fields by name
+async function runCheck() {
+  const reply = await new Promise((resolve, reject) => {
+    const res = {
+      headers: {},
+      status() {
+        return this;
+      },
+      setHeader(key, value) {
+        this.headers[key.toLowerCase()] = value;
+      },
+      json: resolve,
+      send: (body) =>
+        new Response(body, { headers: { 'content-type': res.headers['content-type'] } })
+          .formData()
+          .then((form) => resolve(JSON.parse(form.get('payload_json'))), reject),
+    };
+    check.execute({ guild_id: 'g1', data: { name: 'check' } }, res).catch(reject);
+  });
+  assert.ok(reply.data.embeds, reply.data.content);
+  return Object.fromEntries(reply.data.embeds[0].fields.map((f) => [f.name, f.value]));
+}
+
+test.beforeEach(async () => {
+  await storage.updateGuildConfig('g1', { smaBandPct: 0.1 });
+  // The default ±2% band already saw SPY fall below the SMA
+  await storage.updateFactorState({ effSpy: false, effVol14: true, effVol24: true, effTreas: false });
+});
+
+test.after(() => fs.rmSync(fixtureDir, { recursive: true, force: true }));
+
+test('the scheduled check advances the state of a guild with a wider band', async () => {
+  writeFixtures(103);
+  await advanceGuildFactorStates();
+  assert.strictEqual((await storage.readFactorState('g1')).effSpy, true);
+
+  // About 7% below the SMA: outside the default band, inside the guild's
+  writeFixtures(90);
+  await advanceGuildFactorStates();
+  assert.strictEqual((await storage.readFactorState('g1')).effSpy, true);
+  assert.strictEqual((await storage.readFactorState()).effSpy, false);
+
+  const fields = await runCheck();
+  assert.strictEqual(fields['SPY Status'], 'Under the 220-day SMA');
+  assert.notStrictEqual(fields['💡 Recommended Allocation'], fields['📈 MFEA Allocation']);
+});
+
+test('/check rebuilds the state of a newly configured guild without storing it', async () => {
+  writeFixtures(90);
+  const fields = await runCheck();
+  assert.strictEqual(fields['SPY Status'], 'Under the 220-day SMA');
+  assert.notStrictEqual(fields['💡 Recommended Allocation'], fields['📈 MFEA Allocation']);
+  assert.strictEqual(await storage.readFactorState('g1'), null);
+});
@@ -0,0 +1,96 @@
+// node --test: indicator math and /ticker indicator parsing
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  parseIndicators,
+  computeIndicators,
+  sma,
+  ema,
+  bollinger,
+  rsi,
+  realizedVolatility,
+  annualizedVolatility,
+  totalReturn,
+  maxDrawdown,
+  latest,
+} = require('../lib/indicators');
+
+function assertClose(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+}
+
+test('sma and ema are null until their period is reached', () => {
+  assert.deepStrictEqual(sma([1, 2, 3, 4], 2), [null, 1.5, 2.5, 3.5]);
+  // k = 2 / (3 + 1), seeded with the SMA of the first three values
+  assert.deepStrictEqual(ema([1, 2, 3, 4, 5], 3), [null, null, 2, 3, 4]);
+  assert.deepStrictEqual(ema([1, 2], 3), [null, null]);
+});
+
+test('bollinger bands are the SMA plus and minus population deviations', () => {
+  const bands = bollinger([1, 2, 3], 3, 2);
+  const width = 2 * Math.sqrt(2 / 3);
+  assert.deepStrictEqual(bands.middle, [null, null, 2]);
+  assertClose(bands.upper[2], 2 + width);
+  assertClose(bands.lower[2], 2 - width);
+
+  const flat = bollinger([5, 5, 5, 5], 2);
+  assert.deepStrictEqual(flat.upper, [null, 5, 5, 5]);
+  assert.deepStrictEqual(flat.lower, [null, 5, 5, 5]);
+});
+
+test('rsi uses Wilder smoothing and stays within 0 to 100', () => {
+  assert.deepStrictEqual(rsi([1, 2, 3, 4], 2), [null, null, 100, 100]);
+  assert.deepStrictEqual(rsi([4, 3, 2, 1], 2), [null, null, 0, 0]);
+  assert.deepStrictEqual(rsi([1, 2, 1], 2), [null, null, 50]);
+  // gain (0.5 + 1) / 2 and loss 0.5 / 2 after one smoothing step
+  assertClose(rsi([1, 2, 1, 2], 2)[3], 100 - 100 / (1 + 0.75 / 0.25));
+});
+
+test('volatility annualizes the population deviation of simple returns', () => {
+  assertClose(annualizedVolatility([100, 110, 99]), 0.1 * Math.sqrt(252));
+  assert.strictEqual(annualizedVolatility([100]), 0);
+
+  const rolling = realizedVolatility([100, 110, 99, 99], 2);
+  assert.deepStrictEqual(rolling.slice(0, 2), [null, null]);
+  assertClose(rolling[2], 0.1 * Math.sqrt(252) * 100);
+  assertClose(rolling[3], 0.05 * Math.sqrt(252) * 100);
+});
+
+test('totalReturn, maxDrawdown and latest', () => {
+  assertClose(totalReturn([100, 90, 120]), 0.2);
+  assert.strictEqual(maxDrawdown([100, 120, 90, 130]), -0.25);
+  assert.strictEqual(maxDrawdown([1, 2, 3]), 0);
+  assert.strictEqual(latest([1, 2, null]), 2);
+  assert.strictEqual(latest([null, null]), null);
+});
+
+test('parseIndicators reads periods and aliases and drops duplicates', () => {
+  assert.deepStrictEqual(parseIndicators('sma50, ema(10) bb RSI:7 rv'), [
+    { type: 'sma', period: 50, label: 'SMA(50)' },
+    { type: 'ema', period: 10, label: 'EMA(10)' },
+    { type: 'bb', period: 20, label: 'Bollinger(20)' },
+    { type: 'rsi', period: 7, label: 'RSI(7)' },
+    { type: 'vol', period: 21, label: 'Volatility(21)' },
+  ]);
+  assert.deepStrictEqual(parseIndicators('ma ma50'), [{ type: 'sma', period: 50, label: 'SMA(50)' }]);
+  assert.deepStrictEqual(parseIndicators(''), []);
+});
+
+test('parseIndicators rejects unknown names, bad periods and long lists', () => {
+  assert.throws(() => parseIndicators('macd'), /Unknown indicator `macd`/);
+  assert.throws(() => parseIndicators('sma1'), /between 2 and 250/);
+  assert.throws(() => parseIndicators('sma251'), /between 2 and 250/);
+  assert.throws(() => parseIndicators('sma5 sma6 sma7 sma8 sma9 sma10 sma11'), /at most 6/);
+});
+
+test('computeIndicators returns lines and the latest value per spec', () => {
+  const values = [1, 2, 3, 4, 5];
+  const [average, bands, strength] = computeIndicators(values, parseIndicators('sma2 bb3 rsi10'));
+  assert.strictEqual(average.overlay, true);
+  assert.strictEqual(average.latest, 4.5);
+  assert.strictEqual(bands.lines.length, 3);
+  assert.strictEqual(bands.latest.middle, 4);
+  assert.strictEqual(strength.overlay, false);
+  assert.strictEqual(strength.latest, null);
+});
@@ -0,0 +1,102 @@
+// node --test: memory and file storage adapters, SET NX and key expiry
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createMemoryAdapter, createFileAdapter } = require('../lib/storage');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mfea-storage-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Runs `fn` with Date.now() returning the value of `clock.now`
+async function withClock(fn) {
+  const realNow = Date.now;
+  const clock = { now: Date.parse('2024-06-14T12:00:00Z') };
+  Date.now = () => clock.now;
+  try {
+    await fn(clock);
+  } finally {
+    Date.now = realNow;
+  }
+}
+
+const adapters = {
+  memory: () => createMemoryAdapter(),
+  file: () => createFileAdapter(path.join(dir, `${Math.random().toString(36).slice(2)}.json`)),
+};
+
+Object.keys(adapters).forEach((name) => {
+  test(`${name}: setnx only sets missing keys`, async () => {
+    const db = adapters[name]();
+    assert.strictEqual(await db.setnx('claim', 'a'), 'OK');
+    assert.strictEqual(await db.setnx('claim', 'b'), null);
+    assert.strictEqual(await db.get('claim'), 'a');
+    await db.lpush('list', 'x');
+    assert.strictEqual(await db.setnx('list', 'y'), null);
+    await db.del('claim');
+    assert.strictEqual(await db.setnx('claim', 'c'), 'OK');
+  });
+
+  test(`${name}: setnx TTLs expire and free the key`, () =>
+    withClock(async (clock) => {
+      const db = adapters[name]();
+      assert.strictEqual(await db.setnx('claim', 'a', 60), 'OK');
+      clock.now += 59 * 1000;
+      assert.strictEqual(await db.setnx('claim', 'b', 60), null);
+      clock.now += 1000;
+      assert.strictEqual(await db.get('claim'), null);
+      assert.strictEqual(await db.setnx('claim', 'b', 60), 'OK');
+      assert.strictEqual(await db.get('claim'), 'b');
+    }));
+
+  test(`${name}: set clears a TTL and expire only applies to existing keys`, () =>
+    withClock(async (clock) => {
+      const db = adapters[name]();
+      await db.setnx('key', 'a', 10);
+      await db.set('key', 'b');
+      assert.strictEqual(await db.expire('missing', 10), 0);
+      assert.strictEqual(await db.incr('count'), 1);
+      assert.strictEqual(await db.expire('count', 10), 1);
+      clock.now += 10 * 1000;
+      assert.strictEqual(await db.get('key'), 'b');
+      assert.strictEqual(await db.get('count'), null);
+      assert.strictEqual(await db.incr('count'), 1);
+    }));
+});
+
+test('memory: expired keys are swept on the next write', () =>
+  withClock(async (clock) => {
+    const snapshots = [];
+    const db = createMemoryAdapter({}, (data) => snapshots.push(data));
+    await db.setnx('notified:old', '1', 60);
+    clock.now += 60 * 1000;
+    await db.set('other', 'x');
+    const last = snapshots[snapshots.length - 1];
+    assert.deepStrictEqual(last.values, { other: 'x' });
+    assert.deepStrictEqual(last.expiries, {});
+  }));
+
+test('memory: expired keys in a restored snapshot are dropped', () =>
+  withClock(async (clock) => {
+    const db = createMemoryAdapter({
+      values: { stale: 'a', fresh: 'b' },
+      expiries: { stale: clock.now - 1, fresh: clock.now + 1000 },
+    });
+    assert.strictEqual(await db.get('stale'), null);
+    assert.strictEqual(await db.get('fresh'), 'b');
+  }));
+
+test('file: adapters sharing a file see each other’s writes and TTLs', () =>
+  withClock(async (clock) => {
+    const file = path.join(dir, 'shared.json');
+    const a = createFileAdapter(file);
+    const b = createFileAdapter(file);
+    assert.strictEqual(await a.setnx('lock:cron', '1', 30), 'OK');
+    assert.strictEqual(await b.setnx('lock:cron', '2', 30), null);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')).values, { 'lock:cron': '1' });
+    clock.now += 30 * 1000;
+    assert.strictEqual(await b.setnx('lock:cron', '2', 30), 'OK');
+    assert.strictEqual(await a.get('lock:cron'), '2');
+  }));
@@ -0,0 +1,103 @@
+// node --test: data-quality checks on the series behind the allocation signal
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { validateSeries, validateSignals } = require('../lib/validation');
+const { tradingSession } = require('../lib/calendar');
+
+const params = { smaLength: 220, treasuryLookback: 20 };
+const volWindow = 21;
+// Friday evening, after the close of 2024-06-14
+const now = new Date('2024-06-14T22:00:00Z');
+
+// Provider points ({ timestamp, close }) for the last `count` sessions up to
+// 2024-06-14, with SPY alternating ±0.5% and ^IRX flat at 5
+function series(count) {
+  const points = [];
+  const day = new Date('2024-06-14T20:00:00Z');
+  while (points.length < count) {
+    if (tradingSession(day.toISOString().slice(0, 10)).trading) {
+      points.unshift({ timestamp: day.getTime() / 1000 });
+    }
+    day.setUTCDate(day.getUTCDate() - 1);
+  }
+  return {
+    spyPoints: points.map((pt, i) => ({ ...pt, close: 100 * (1 + 0.005 * (i % 2 ? 1 : -1)) })),
+    ratePoints: points.map((pt) => ({ ...pt, close: 5 })),
+  };
+}
+
+function validate(overrides = {}) {
+  return validateSeries({ ...series(250), params, volWindow, now, ...overrides });
+}
+
+function checks(result) {
+  return result.problems.map((p) => p.check);
+}
+
+test('clean series pass', () => {
+  assert.deepStrictEqual(validate(), { ok: true, problems: [] });
+});
+
+test('a missing latest SPY close is stale', () => {
+  const { spyPoints, ratePoints } = series(250);
+  const result = validate({ spyPoints: spyPoints.slice(0, -1), ratePoints });
+  assert.strictEqual(result.ok, false);
+  assert.deepStrictEqual(result.problems, [
+    { check: 'stale', message: 'Last SPY close is from 2024-06-13, expected 2024-06-14' },
+  ]);
+  assert.strictEqual(validate({ spyPoints: spyPoints.slice(0, -1), ratePoints, checkStaleness: false }).ok, true);
+});
+
+test('^IRX may lag two sessions but not three', () => {
+  const { spyPoints, ratePoints } = series(250);
+  assert.strictEqual(validate({ spyPoints, ratePoints: ratePoints.slice(0, -2) }).ok, true);
+  assert.deepStrictEqual(checks(validate({ spyPoints, ratePoints: ratePoints.slice(0, -3) })), ['stale']);
+});
+
+test('within the grace period after the open the previous session is expected', () => {
+  const { spyPoints, ratePoints } = series(250);
+  const morning = new Date('2024-06-14T13:45:00Z');
+  assert.strictEqual(validate({ spyPoints: spyPoints.slice(0, -1), ratePoints, now: morning }).ok, true);
+});
+
+test('too many bars without a close are reported', () => {
+  const { spyPoints, ratePoints } = series(250);
+  for (let i = 100; i < 120; i++) spyPoints[i] = { ...spyPoints[i], close: null };
+  const result = validate({ spyPoints, ratePoints });
+  assert.deepStrictEqual(checks(result), ['missing']);
+  assert.match(result.problems[0].message, /^SPY: 20 of 220 bars have no close$/);
+});
+
+test('short histories are reported for both series', () => {
+  const { spyPoints, ratePoints } = series(100);
+  const result = validate({ spyPoints, ratePoints: ratePoints.slice(-20) });
+  assert.deepStrictEqual(checks(result), ['history', 'history']);
+  assert.strictEqual(result.problems[0].message, '100 SPY closes, the 220-day SMA needs 220');
+  assert.strictEqual(result.problems[1].message, '20 ^IRX closes, the 20-day lookback needs 21');
+});
+
+test('implausible SPY and ^IRX moves are outliers', () => {
+  const { spyPoints, ratePoints } = series(250);
+  spyPoints[245] = { ...spyPoints[245], close: spyPoints[245].close * 1.1 };
+  ratePoints[240] = { ...ratePoints[240], close: 6.5 };
+  ratePoints[248] = { ...ratePoints[248], close: 30 };
+  const messages = validate({ spyPoints, ratePoints }).problems.map((p) => p.message);
+  assert.ok(messages.some((m) => /^SPY moved 1\d\.\d% on 2024-06-10$/.test(m)), messages.join('\n'));
+  assert.ok(messages.includes('^IRX at 30% on 2024-06-13 is outside the plausible range'));
+  assert.ok(messages.includes('^IRX moved 1.500 pts on 2024-06-03'));
+});
+
+test('SPY moves outside the volatility window are not checked', () => {
+  const { spyPoints, ratePoints } = series(250);
+  spyPoints[100] = { ...spyPoints[100], close: spyPoints[100].close * 1.1 };
+  assert.strictEqual(validate({ spyPoints, ratePoints }).ok, true);
+});
+
+test('validateSignals flags values that are not numbers', () => {
+  const signals = { spy: '500.00', sma220: 'NaN', volatility: '12.00', treasuryRate: '5.000', treasuryRateChange: undefined };
+  assert.deepStrictEqual(validateSignals(signals), [
+    { check: 'missing', message: 'sma220 is NaN' },
+    { check: 'missing', message: 'treasuryRateChange is undefined' },
+  ]);
+});